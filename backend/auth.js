@@ -0,0 +1,197 @@
+// API key authentication and per-key rate limiting for /api routes
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Defaults applied to keys that do not set their own limits. The extension
+// sends a request per image, so the burst has to cover a whole page load.
+const DEFAULT_RATE_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || '600');
+const DEFAULT_BURST = parseInt(process.env.RATE_LIMIT_BURST || '300');
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.DAILY_QUOTA || '10000');
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE;
+
+// Serve /api without keys; only meant for local development
+const ALLOW_UNAUTHENTICATED_API = process.env.ALLOW_UNAUTHENTICATED_API === 'true';
+
+// Configured keys, by key value
+const apiKeys = new Map();
+
+// Token bucket and daily usage, by key value
+const usage = new Map();
+
+/**
+ * Register an API key
+ * @param {Object} entry - The key definition
+ * @param {string} entry.key - The secret key value
+ * @param {string} [entry.name] - Installation or team the key was issued to
+ * @param {number} [entry.ratePerMinute] - Sustained requests per minute
+ * @param {number} [entry.burst] - Requests allowed in a burst
+ * @param {number} [entry.dailyQuota] - Units allowed per UTC day
+ */
+function addApiKey(entry) {
+  apiKeys.set(entry.key, {
+    name: entry.name || 'unnamed',
+    ratePerMinute: entry.ratePerMinute || DEFAULT_RATE_PER_MINUTE,
+    burst: entry.burst || DEFAULT_BURST,
+    dailyQuota: entry.dailyQuota || DEFAULT_DAILY_QUOTA
+  });
+}
+
+/**
+ * Load keys from API_KEYS ("key:name,key:name") and API_KEYS_FILE (a JSON array)
+ */
+function loadApiKeys() {
+  (process.env.API_KEYS || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const [key, name] = item.split(':');
+    addApiKey({ key, name });
+  });
+  
+  if (API_KEYS_FILE && fs.existsSync(API_KEYS_FILE)) {
+    JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')).forEach(addApiKey);
+  }
+  
+  if (ALLOW_UNAUTHENTICATED_API) {
+    console.warn('WARNING: ALLOW_UNAUTHENTICATED_API is set, /api routes are open to everyone.');
+  } else if (apiKeys.size === 0) {
+    console.error('ERROR: No API keys configured, every /api request will be refused. ' +
+      'Set API_KEYS or API_KEYS_FILE, or ALLOW_UNAUTHENTICATED_API=true for local development.');
+  }
+}
+
+/**
+ * Issue a new key and persist it to API_KEYS_FILE when one is configured
+ * @param {string} name - Installation or team the key is issued to
+ * @returns {string} - The new key
+ */
+function issueApiKey(name) {
+  const key = crypto.randomBytes(24).toString('hex');
+  addApiKey({ key, name });
+  
+  if (API_KEYS_FILE) {
+    const stored = fs.existsSync(API_KEYS_FILE) ? JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')) : [];
+    stored.push({ key, name });
+    fs.writeFileSync(API_KEYS_FILE, JSON.stringify(stored, null, 2));
+  }
+  
+  return key;
+}
+
+/**
+ * Read the API key from the X-API-Key header or a bearer token
+ * @param {Object} req - The Express request
+ * @returns {string|null} - The key sent with the request
+ */
+function getRequestKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header.trim();
+  }
+  
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Get the usage record for a key, refilling its bucket and resetting the
+ * daily count when a new UTC day has started
+ * @param {string} key - The key value
+ * @param {Object} limits - The key's limits
+ * @returns {Object} - The usage record
+ */
+function getUsage(key, limits) {
+  const now = Date.now();
+  const day = new Date(now).toISOString().slice(0, 10);
+  let record = usage.get(key);
+  
+  if (!record) {
+    record = { tokens: limits.burst, refilledAt: now, day, used: 0 };
+    usage.set(key, record);
+  }
+  
+  const elapsedMinutes = (now - record.refilledAt) / 60000;
+  record.tokens = Math.min(limits.burst, record.tokens + elapsedMinutes * limits.ratePerMinute);
+  record.refilledAt = now;
+  
+  if (record.day !== day) {
+    record.day = day;
+    record.used = 0;
+  }
+  
+  return record;
+}
+
+/**
+ * Seconds until the next UTC midnight
+ * @returns {number}
+ */
+function secondsUntilTomorrow() {
+  const now = new Date();
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+/**
+ * Express middleware that checks the API key and applies the rate limit
+ * and daily quota. A batch request uses one quota unit per item.
+ */
+function requireApiKey(req, res, next) {
+  // The API is only open when that is asked for explicitly
+  if (ALLOW_UNAUTHENTICATED_API) {
+    return next();
+  }
+  
+  const key = getRequestKey(req);
+  const limits = key && apiKeys.get(key);
+  
+  if (!limits) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: key ? 'Invalid API key' : 'API key is required' });
+  }
+  
+  const record = getUsage(key, limits);
+  const cost = Array.isArray(req.body?.items) ? Math.max(1, req.body.items.length) : 1;
+  
+  if (record.used + cost > limits.dailyQuota) {
+    res.set('Retry-After', String(secondsUntilTomorrow()));
+    return res.status(429).json({ error: 'Daily quota exceeded' });
+  }
+  
+  if (record.tokens < 1) {
+    const secondsUntilToken = Math.ceil(((1 - record.tokens) / limits.ratePerMinute) * 60);
+    res.set('Retry-After', String(secondsUntilToken));
+    return res.status(429).json({ error: 'Rate limit exceeded' });
+  }
+  
+  record.tokens -= 1;
+  record.used += cost;
+  
+  res.set('X-RateLimit-Remaining', String(Math.floor(record.tokens)));
+  res.set('X-Quota-Remaining', String(limits.dailyQuota - record.used));
+  req.apiClient = limits.name;
+  next();
+}
+
+/**
+ * Express middleware that only lets requests with the admin token through
+ */
+function requireAdminToken(req, res, next) {
+  const adminToken = Buffer.from(process.env.ADMIN_TOKEN || '');
+  const token = Buffer.from(getRequestKey(req) || '');
+  
+  if (adminToken.length === 0 || token.length !== adminToken.length ||
+      !crypto.timingSafeEqual(token, adminToken)) {
+    return res.status(401).json({ error: 'Admin token is required' });
+  }
+  
+  next();
+}
+
+loadApiKeys();
+
+module.exports = {
+  requireApiKey,
+  requireAdminToken,
+  issueApiKey
+};
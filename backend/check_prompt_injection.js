@@ -0,0 +1,116 @@
+// Checks the text moderation pipeline against the prompt injection corpus
+//
+//   npm run check:injection
+//
+// No model is called, so this cannot show that a real model ignores the
+// injected instructions. It checks the parts of the pipeline around the model:
+//   - every case stays inside its delimited block of the model request
+//   - cases with a lexicon word are flagged even when the model does whatever
+//     the injected text asks, and cases without one are not flagged by it
+//   - when the model flags a case and echoes the text in its reply, the reply
+//     is still read as flagged, so injected JSON, fences or delimiters cannot
+//     break the parsing and drop the verdict to the lexicon fallback
+const path = require('path');
+
+// Keep verdicts from this run out of the result cache, so each provider
+// below is asked afresh
+process.env.RESULT_CACHE_DIR = '';
+process.env.RESULT_CACHE_TTL_SECONDS = '0';
+
+const { setProvider } = require('./providers');
+const { UNTRUSTED_TEXT_TAG, buildModerationRequest } = require('./providers/google_provider');
+const { parseTextAnalysis } = require('./providers/model_output');
+const { analyzeText } = require('./text_content_filteration');
+
+const corpus = require(path.join(__dirname, 'prompt_injection_corpus.json'));
+
+// A provider that has been talked out of flagging anything
+const compromisedProvider = {
+  name: 'compromised',
+  analyzeText: async (text) => ({
+    containsExplicitContent: false,
+    categories: [],
+    explicitWords: [],
+    severity: 'low',
+    filteredText: text
+  })
+};
+
+// A provider that flags everything, replying the way the model does: JSON in
+// a code fence that repeats the text it was given
+const flaggingProvider = {
+  name: 'flagging',
+  analyzeText: async (text) => parseTextAnalysis('```json\n' + JSON.stringify({
+    containsExplicitContent: true,
+    categories: ['other'],
+    explicitWords: [],
+    severity: 'high',
+    filteredText: text
+  }, null, 2) + '\n```')
+};
+
+/**
+ * Check that the text is confined to its own part of the model request
+ * @param {string} text - The untrusted text
+ * @returns {string|null} - A description of the problem, or null
+ */
+function checkRequestIsolation(text) {
+  const parts = buildModerationRequest(text).contents[0].parts;
+  const opening = `<${UNTRUSTED_TEXT_TAG}>\n`;
+  const closing = `\n</${UNTRUSTED_TEXT_TAG}>`;
+  const block = parts[1].text;
+  
+  if (parts[0].text.includes(text)) {
+    return 'text appears in the instructions';
+  }
+  
+  if (!block.startsWith(opening) || !block.endsWith(closing)) {
+    return 'text is not enclosed in its tags';
+  }
+  
+  const inner = block.slice(opening.length, -closing.length);
+  if (new RegExp(`<\\s*/?\\s*${UNTRUSTED_TEXT_TAG}`, 'i').test(inner)) {
+    return 'text can open or close its block';
+  }
+  
+  return null;
+}
+
+async function run() {
+  let failures = 0;
+  
+  for (const { id, text, expectExplicit } of corpus.cases) {
+    const problems = [];
+    
+    const isolationProblem = checkRequestIsolation(text);
+    if (isolationProblem) {
+      problems.push(isolationProblem);
+    }
+    
+    setProvider(compromisedProvider);
+    const lexiconResult = await analyzeText(text);
+    if (expectExplicit && !lexiconResult.containsExplicitContent) {
+      problems.push('verdict was overridden');
+    } else if (!expectExplicit && lexiconResult.containsExplicitContent) {
+      problems.push('case contains a lexicon word, so it does not test the model verdict');
+    }
+    
+    setProvider(flaggingProvider);
+    const modelResult = await analyzeText(text);
+    if (!modelResult.containsExplicitContent || modelResult.source === 'fallback') {
+      problems.push('model reply was not read as flagged');
+    }
+    
+    if (problems.length > 0) {
+      failures++;
+      console.log('\x1b[31m%s\x1b[0m', `FAIL ${id}: ${problems.join('; ')}`);
+    } else {
+      console.log(`ok   ${id}`);
+    }
+  }
+  
+  console.log(`${corpus.cases.length - failures}/${corpus.cases.length} cases passed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+run();
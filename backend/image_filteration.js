@@ -1,79 +1,98 @@
 require('dotenv').config();
-const vision = require('@google-cloud/vision');
-
-// Create a client
-const client = new vision.ImageAnnotatorClient();
+const { getProvider } = require('./providers');
+const { IMAGE_CATEGORIES, resolveProfile, meetsLikelihood, likelihoodScore, strongestAction } = require('./sensitivity');
+const { createCacheKey, imageCache } = require('./result_cache');
+const { ImageIngestError, isImageUrl, parseImageUrl, decodeImageData, loadImage } = require('./image_ingest');
 
 /**
- * Analyze image content using Google Vision API
+ * Analyze image content using the moderation provider
  * @param {string} imageSource - Image URL or base64 data
+ * @param {Object} profile - The threshold profile to apply
+ * @param {Object} options - Analysis options
+ * @param {boolean} options.useCache - Read and store verdicts in the result cache
  * @returns {Object} - The analysis result
  */
-async function analyzeImage(imageSource) {
+async function analyzeImage(imageSource, profile = resolveProfile(), { useCache = true } = {}) {
   try {
-    let request;
-    
-    // Determine if the image source is a URL or base64 data
-    if (imageSource.startsWith('http')) {
-      request = { image: { source: { imageUri: imageSource } } };
+    // URLs are keyed before fetching so cached verdicts skip the download;
+    // base64 payloads are decoded and validated up front
+    let image = null;
+    let cacheContent;
+    if (isImageUrl(imageSource)) {
+      cacheContent = parseImageUrl(imageSource).href;
     } else {
-      // Remove data:image/jpeg;base64, prefix if present
-      const base64Data = imageSource.replace(/^data:image\/\w+;base64,/, '');
-      request = { image: { content: base64Data } };
+      image = decodeImageData(imageSource);
+      cacheContent = image.buffer;
+    }
+    
+    // Reuse an earlier verdict for the same image and profile
+    const cacheKey = useCache ? createCacheKey('image', cacheContent, profile) : null;
+    const cachedResult = cacheKey ? await imageCache.get(cacheKey) : null;
+    if (cachedResult) {
+      return cachedResult;
+    }
+    
+    if (!image) {
+      image = await loadImage(imageSource);
     }
     
-    // Configure the request for safe search detection
-    const [result] = await client.safeSearchDetection(request);
-    const safeSearch = result.safeSearchAnnotation;
+    const safeSearch = await getProvider().analyzeImage(image);
     
     if (!safeSearch) {
       return { 
         isInappropriate: false, 
-        message: 'Unable to analyze image content'
+        action: 'allow',
+        message: 'Unable to analyze image content',
+        categories: []
       };
     }
     
-    // Define threshold levels from environment variables or use defaults
-    const adultThreshold = process.env.MIN_ADULT_CONTENT_LIKELIHOOD || 'POSSIBLE';
-    const violenceThreshold = process.env.MIN_VIOLENCE_CONTENT_LIKELIHOOD || 'POSSIBLE';
-    const medicalThreshold = process.env.MIN_MEDICAL_CONTENT_LIKELIHOOD || 'LIKELY';
-    const spoofThreshold = process.env.MIN_SPOOF_CONTENT_LIKELIHOOD || 'VERY_LIKELY';
-    
-    // Vision API likelihood levels in order of severity
-    const likelihoodOrder = [
-      'UNKNOWN', 'VERY_UNLIKELY', 'UNLIKELY', 'POSSIBLE', 'LIKELY', 'VERY_LIKELY'
-    ];
-    
-    // Check if any category exceeds the threshold
-    const isAdultContent = likelihoodOrder.indexOf(safeSearch.adult) >= likelihoodOrder.indexOf(adultThreshold);
-    const isViolent = likelihoodOrder.indexOf(safeSearch.violence) >= likelihoodOrder.indexOf(violenceThreshold);
-    const isMedical = likelihoodOrder.indexOf(safeSearch.medical) >= likelihoodOrder.indexOf(medicalThreshold);
-    const isSpoof = likelihoodOrder.indexOf(safeSearch.spoof) >= likelihoodOrder.indexOf(spoofThreshold);
+    // Score every category and pick its action from the profile
+    const categories = IMAGE_CATEGORIES.map(category => {
+      const likelihood = safeSearch[category] || 'UNKNOWN';
+      const threshold = profile[category];
+      return {
+        category,
+        likelihood,
+        score: likelihoodScore(likelihood),
+        threshold: likelihoodScore(threshold),
+        action: meetsLikelihood(likelihood, threshold) ? profile.actions[category] : 'allow'
+      };
+    });
     
-    // Determine if the image is inappropriate based on thresholds
-    const isInappropriate = isAdultContent || isViolent || isMedical || isSpoof;
+    const action = strongestAction(categories.map(entry => entry.action));
+    const isInappropriate = action === 'blur';
     
-    // Collect triggered categories
-    const triggeredCategories = [];
-    if (isAdultContent) triggeredCategories.push('adult');
-    if (isViolent) triggeredCategories.push('violence');
-    if (isMedical) triggeredCategories.push('medical');
-    if (isSpoof) triggeredCategories.push('spoof');
+    // Categories that met their threshold and were not allowed through
+    const triggeredCategories = categories
+      .filter(entry => entry.action !== 'allow')
+      .map(entry => entry.category);
     
     // Determine the message based on the analysis
     let message = 'Image is appropriate';
     if (isInappropriate) {
       message = `Image contains inappropriate content: ${triggeredCategories.join(', ')}`;
+    } else if (action === 'warn') {
+      message = `Image may contain sensitive content: ${triggeredCategories.join(', ')}`;
     }
     
-    return {
+    const result = {
       isInappropriate,
+      action,
       message,
+      categories,
       safeSearch,
       triggeredCategories
     };
+    
+    if (cacheKey) {
+      imageCache.set(cacheKey, result);
+    }
+    return result;
   } catch (error) {
-    console.error('Error analyzing image:', error);
+    if (!(error instanceof ImageIngestError)) {
+      console.error('Error analyzing image:', error);
+    }
     throw error;
   }
 }
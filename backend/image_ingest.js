@@ -0,0 +1,298 @@
+// Fetching, decoding and validation of images before they reach a provider
+//
+// Images are checked, not converted: the format is sniffed from the leading
+// bytes and the size is capped, but the bytes reach the provider as they
+// are. Re-encoding or resizing would need an image library and is out of
+// scope; every format accepted here is one the providers read directly.
+require('dotenv').config();
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || String(10 * 1024 * 1024));
+const IMAGE_FETCH_TIMEOUT_MS = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS || '5000');
+const IMAGE_FETCH_MAX_REDIRECTS = parseInt(process.env.IMAGE_FETCH_MAX_REDIRECTS || '3');
+
+// Address ranges that must never be fetched: loopback, private, link-local,
+// carrier-grade NAT, multicast and other reserved networks
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Leading bytes of the image formats the providers accept
+const imageSignatures = [
+  { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/bmp', bytes: [0x42, 0x4D] },
+  { mimeType: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2A, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x4D, 0x4D, 0x00, 0x2A] }
+];
+
+/**
+ * An image that cannot be accepted, with the HTTP status to report
+ */
+class ImageIngestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImageIngestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check whether an IP address is in a blocked range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address must not be fetched
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup that refuses hostnames resolving to a blocked address. Used as
+ * the socket's lookup so the checked address is the one connected to.
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    
+    if (addresses.length === 0 || addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(new ImageIngestError('Image URL resolves to a private or reserved address'));
+    }
+    
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Detect the image format from its leading bytes
+ * @param {Buffer} buffer - The image bytes
+ * @returns {string|null} - The MIME type, or null if it is not a supported image
+ */
+function sniffImageType(buffer) {
+  const signature = imageSignatures.find(({ bytes }) => (
+    buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)
+  ));
+  
+  if (signature) {
+    return signature.mimeType;
+  }
+  
+  // WebP is a RIFF container with a WEBP form type
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' &&
+      buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  
+  return null;
+}
+
+/**
+ * Validate decoded image bytes and wrap them for the providers
+ * @param {Buffer} buffer - The image bytes
+ * @param {string|null} url - The URL the image came from, if any
+ * @returns {Object} - The normalized image
+ */
+function toImage(buffer, url) {
+  if (buffer.length === 0) {
+    throw new ImageIngestError('Image is empty');
+  }
+  
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new ImageIngestError(`Image exceeds the ${MAX_IMAGE_BYTES} byte limit`, 413);
+  }
+  
+  const mimeType = sniffImageType(buffer);
+  if (!mimeType) {
+    throw new ImageIngestError('Unsupported or unrecognized image format', 415);
+  }
+  
+  return { buffer, mimeType, url };
+}
+
+/**
+ * Check whether an image source is a URL rather than base64 data
+ * @param {string} imageSource - Image URL or base64 data
+ * @returns {boolean} - True for anything with a URL scheme other than data:
+ */
+function isImageUrl(imageSource) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(imageSource.trim());
+}
+
+/**
+ * Parse and validate an image URL
+ * @param {string} imageUrl - The URL to check
+ * @returns {URL} - The parsed URL
+ */
+function parseImageUrl(imageUrl) {
+  let url;
+  try {
+    url = new URL(imageUrl.trim());
+  } catch (error) {
+    throw new ImageIngestError('Image URL is not valid');
+  }
+  
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ImageIngestError('Image URL must use http or https');
+  }
+  
+  if (url.username || url.password) {
+    throw new ImageIngestError('Image URL must not contain credentials');
+  }
+  
+  // IP literals never go through DNS, so check them here
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new ImageIngestError('Image URL points to a private or reserved address');
+  }
+  
+  return url;
+}
+
+/**
+ * Decode base64 image data, with or without a data: URI prefix
+ * @param {string} imageBase64 - The encoded image
+ * @returns {Object} - The normalized image
+ */
+function decodeImageData(imageBase64) {
+  const data = imageBase64.replace(/^data:[\w.+-]+\/[\w.+-]+(;[\w-]+=[\w.-]+)*;base64,/i, '').replace(/\s+/g, '');
+  
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(data)) {
+    throw new ImageIngestError('Image data is not valid base64');
+  }
+  
+  // Reject oversized payloads before decoding them
+  if (Math.floor(data.length * 3 / 4) > MAX_IMAGE_BYTES + 2) {
+    throw new ImageIngestError(`Image exceeds the ${MAX_IMAGE_BYTES} byte limit`, 413);
+  }
+  
+  return toImage(Buffer.from(data, 'base64'), null);
+}
+
+/**
+ * Make a single GET request without following redirects
+ * @param {URL} url - The URL to fetch
+ * @param {number} deadline - Time by which the whole fetch must finish
+ * @returns {Promise<Object>} - The status, redirect location and body
+ */
+function requestOnce(url, deadline) {
+  return new Promise((resolvePromise, rejectPromise) => {
+    // The deadline covers the DNS lookup, connecting and the whole body; a
+    // socket timeout alone would let a slow trickle of bytes run on
+    const timer = setTimeout(() => {
+      request.destroy(new ImageIngestError('Timed out fetching the image', 422));
+    }, Math.max(deadline - Date.now(), 1));
+    const resolve = value => {
+      clearTimeout(timer);
+      resolvePromise(value);
+    };
+    const reject = error => {
+      clearTimeout(timer);
+      rejectPromise(error instanceof ImageIngestError ? error : new ImageIngestError(`Unable to fetch the image: ${error.message}`, 422));
+    };
+    
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      lookup: safeLookup,
+      headers: { 'Accept': 'image/*', 'User-Agent': 'Socio.io image filter' }
+    }, response => {
+      const { statusCode, headers } = response;
+      
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        return resolve({ statusCode, location: headers.location });
+      }
+      
+      if (statusCode !== 200) {
+        response.resume();
+        return reject(new ImageIngestError(`Image URL returned HTTP ${statusCode}`, 422));
+      }
+      
+      if (parseInt(headers['content-length'] || '0') > MAX_IMAGE_BYTES) {
+        request.destroy();
+        return reject(new ImageIngestError(`Image exceeds the ${MAX_IMAGE_BYTES} byte limit`, 413));
+      }
+      
+      const chunks = [];
+      let received = 0;
+      response.on('data', chunk => {
+        received += chunk.length;
+        if (received > MAX_IMAGE_BYTES) {
+          request.destroy(new ImageIngestError(`Image exceeds the ${MAX_IMAGE_BYTES} byte limit`, 413));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ statusCode, body: Buffer.concat(chunks) }));
+      response.on('error', reject);
+    });
+    
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Fetch an image URL, re-validating every redirect hop
+ * @param {string} imageUrl - The URL to fetch
+ * @returns {Promise<Object>} - The normalized image
+ */
+async function fetchImage(imageUrl) {
+  const deadline = Date.now() + IMAGE_FETCH_TIMEOUT_MS;
+  let url = parseImageUrl(imageUrl);
+  
+  for (let redirects = 0; redirects <= IMAGE_FETCH_MAX_REDIRECTS; redirects++) {
+    const response = await requestOnce(url, deadline);
+    
+    if (!response.location) {
+      return toImage(response.body, url.href);
+    }
+    
+    url = parseImageUrl(new URL(response.location, url).href);
+  }
+  
+  throw new ImageIngestError('Image URL redirected too many times', 422);
+}
+
+/**
+ * Turn an image URL or base64 payload into validated image bytes
+ * @param {string} imageSource - Image URL or base64 data
+ * @returns {Promise<Object>} - The image as { buffer, mimeType, url }
+ */
+async function loadImage(imageSource) {
+  if (typeof imageSource !== 'string' || imageSource.trim() === '') {
+    throw new ImageIngestError('Image URL or base64 data is required');
+  }
+  
+  return isImageUrl(imageSource) ? fetchImage(imageSource) : decodeImageData(imageSource);
+}
+
+module.exports = {
+  ImageIngestError,
+  MAX_IMAGE_BYTES,
+  isImageUrl,
+  parseImageUrl,
+  decodeImageData,
+  loadImage
+};
@@ -0,0 +1,106 @@
+// Language detection for text moderation
+//
+// Text in most scripts is assigned the main language written in that script.
+// Latin script text is told apart by counting common function words, which
+// is reliable for the paragraph-sized blocks the extension sends. Returns
+// "und" (undetermined) when there is too little to go on.
+
+const UNDETERMINED = 'und';
+
+// Scripts and the language assumed for them, checked in order
+const SCRIPT_LANGUAGES = [
+  ['Hiragana', 'ja'],
+  ['Katakana', 'ja'],
+  ['Han', 'zh'],
+  ['Hangul', 'ko'],
+  ['Thai', 'th'],
+  ['Lao', 'lo'],
+  ['Khmer', 'km'],
+  ['Myanmar', 'my'],
+  ['Devanagari', 'hi'],
+  ['Bengali', 'bn'],
+  ['Gurmukhi', 'pa'],
+  ['Gujarati', 'gu'],
+  ['Tamil', 'ta'],
+  ['Telugu', 'te'],
+  ['Kannada', 'kn'],
+  ['Malayalam', 'ml'],
+  ['Arabic', 'ar'],
+  ['Hebrew', 'he'],
+  ['Greek', 'el'],
+  ['Cyrillic', 'ru'],
+  ['Georgian', 'ka'],
+  ['Armenian', 'hy'],
+  ['Latin', null]
+].map(([script, language]) => ({ script, language, pattern: new RegExp(`\\p{Script=${script}}`, 'u') }));
+
+// Frequent short words of languages written in Latin script, including
+// Hindi as it is commonly typed in Latin letters
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'is', 'are', 'was', 'of', 'to', 'in', 'that', 'it', 'you', 'this', 'with', 'for', 'not', 'have', 'be', 'on', 'what', 'my'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'con', 'para', 'no', 'se', 'del', 'lo', 'pero', 'muy'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'que', 'en', 'pas', 'pour', 'je', 'vous', 'il', 'sur', 'avec', 'ce'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'sich', 'auf', 'ich', 'sie', 'es', 'auch', 'dem', 'von', 'wir'],
+  pt: ['o', 'os', 'as', 'de', 'que', 'e', 'um', 'uma', 'não', 'para', 'com', 'em', 'do', 'da', 'é', 'por', 'mais', 'se', 'eu', 'você'],
+  it: ['il', 'lo', 'gli', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'non', 'con', 'del', 'della', 'sono', 'anche', 'ma', 'io', 'questo', 'ci'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'op', 'te', 'ik', 'je', 'zijn', 'met', 'voor', 'maar', 'ook', 'wat', 'er', 'dit'],
+  hi: ['hai', 'hain', 'nahi', 'nahin', 'kya', 'aur', 'ka', 'ki', 'ke', 'ko', 'se', 'mein', 'tum', 'yeh', 'woh', 'hum', 'mujhe', 'tha', 'bhi', 'kyun']
+};
+
+const functionWordSets = Object.fromEntries(
+  Object.entries(FUNCTION_WORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+/**
+ * Tell apart languages written in Latin script by their function words
+ * @param {string} text - The text to examine
+ * @returns {string} - The language code, or "und" if no language stands out
+ */
+function detectLatinLanguage(text) {
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  let best = UNDETERMINED;
+  let bestScore = 0;
+  
+  Object.entries(functionWordSets).forEach(([language, functionWords]) => {
+    const score = words.filter(word => functionWords.has(word)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  });
+  
+  return best;
+}
+
+/**
+ * Detect the language a text is written in
+ * @param {string} text - The text to examine
+ * @returns {string} - An ISO 639-1 language code, or "und" if undetermined
+ */
+function detectLanguage(text) {
+  const counts = new Map();
+  for (const ch of text) {
+    const entry = SCRIPT_LANGUAGES.find(({ pattern }) => pattern.test(ch));
+    if (entry) {
+      counts.set(entry, (counts.get(entry) || 0) + 1);
+    }
+  }
+  
+  if (counts.size === 0) {
+    return UNDETERMINED;
+  }
+  
+  const [dominant] = [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  
+  // Japanese mixes kana with Han characters
+  if (dominant.script === 'Han' && [...counts.keys()].some(entry => entry.language === 'ja')) {
+    return 'ja';
+  }
+  
+  return dominant.language || detectLatinLanguage(text);
+}
+
+module.exports = {
+  UNDETERMINED,
+  detectLanguage
+};
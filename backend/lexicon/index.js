@@ -0,0 +1,391 @@
+// Lexicon engine
+//
+// Word lists live in <language>.json files, grouped by category. Each list is
+// compiled once into a trie that is matched against a normalized copy of the
+// text, so obfuscated spellings such as "f*ck", "sh1t", "fuuuck" or "ѕhit"
+// (Cyrillic ѕ) are still found. Every match keeps its span in the original text.
+//
+// Every language's list is combined with the default English list, since
+// pages mix in English. Words must stand alone, except in scripts written
+// without spaces, such as Chinese, Japanese and Thai, where a match may start
+// and end at any character. A list may also give allowedContexts, phrases
+// after which a word is harmless, like the Roman numeral in "Super Bowl XXX".
+const fs = require('fs');
+const path = require('path');
+
+const LEXICON_DIR = process.env.LEXICON_DIR || __dirname;
+const DEFAULT_LANGUAGE = 'en';
+
+// Look-alike characters from other scripts, folded to their Latin counterpart
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ѕ': 's', 'і': 'i', 'ј': 'j', 'к': 'k',
+  'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y',
+  'х': 'x', 'ԁ': 'd', 'һ': 'h', 'ӏ': 'l', 'ԛ': 'q', 'ԝ': 'w',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ɡ': 'g', 'ı': 'i'
+};
+
+// Digits and symbols commonly substituted for letters
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't',
+  '@': 'a', '$': 's', '!': 'i'
+};
+
+// Scripts written without spaces between words
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}\p{Script=Tibetan}]/u;
+
+// Character that masks a single letter, as in "f*ck"; only after a letter of
+// the same word, since "*word*" is emphasis
+const WILDCARD = '*';
+
+// Fewest real letters a match may contain
+const MIN_LITERALS = 2;
+
+const compiledLexicons = new Map();
+
+/**
+ * Fold a character to lower case, replacing look-alikes and compatibility
+ * forms and dropping diacritics from Latin letters
+ * @param {string} ch - A single code point
+ * @returns {string} - The folded character(s)
+ */
+function foldCharacter(ch) {
+  const lower = ch.toLowerCase();
+  if (CONFUSABLES[lower]) {
+    return CONFUSABLES[lower];
+  }
+  
+  const decomposed = lower.normalize('NFKD').toLowerCase();
+  if (/^\p{Script=Latin}/u.test(decomposed)) {
+    return decomposed.replace(/\p{M}/gu, '');
+  }
+  
+  return decomposed;
+}
+
+/**
+ * Split text into normalized units, one per folded character, each keeping
+ * the span of the original character it came from
+ * @param {string} text - The text to normalize
+ * @returns {Array<Object>} - Units with ch, start, end, wildcard, canStart and canEnd
+ */
+function normalizeText(text) {
+  const units = [];
+  let token = [];
+  
+  function flushToken() {
+    const coreIndexes = token
+      .map((unit, index) => (unit.isCore ? index : -1))
+      .filter(index => index !== -1);
+    
+    // Tokens made only of symbols, like "***" or "!", are not words
+    if (coreIndexes.length > 0) {
+      const coreStart = coreIndexes[0];
+      const coreEnd = coreIndexes[coreIndexes.length - 1] + 1;
+      
+      // An asterisk stands for a letter only when a letter comes before it.
+      // Leading asterisks, and the trailing ones closing them, are emphasis,
+      // so "*hit*" and "**it**" are not read as "shit".
+      const isEmphasized = token[0].isMask;
+      token.forEach((unit, index) => {
+        if (unit.isMask) {
+          unit.wildcard = index > coreStart && !(isEmphasized && index >= coreEnd);
+        }
+      });
+      
+      // Words are separated by a single space unit
+      if (units.length > 0) {
+        units.push({ ch: ' ', start: token[0].start, end: token[0].start, canStart: false, canEnd: false });
+      }
+      
+      token.forEach((unit, index) => {
+        // A word may start at the token start or at its first letter, and end
+        // at its last letter or the token end, so "*word*" and "word!" match.
+        // Next to characters of unspaced scripts any position is a boundary.
+        unit.canStart = index === 0 || index === coreStart ||
+          unit.unspaced || token[index - 1].unspaced;
+        unit.canEnd = index === token.length - 1 || index === coreEnd - 1 ||
+          unit.unspaced || token[index + 1].unspaced;
+        units.push(unit);
+      });
+    }
+    
+    token = [];
+  }
+  
+  let offset = 0;
+  for (const ch of text) {
+    const start = offset;
+    const end = offset + ch.length;
+    offset = end;
+    
+    if (/[\p{L}\p{M}\p{N}]/u.test(ch)) {
+      // Letters, marks and digits; a character may fold to several units
+      const unspaced = UNSPACED_SCRIPT.test(ch);
+      for (const folded of LEET[ch] || foldCharacter(ch)) {
+        token.push({ ch: folded, start, end, isCore: true, wildcard: false, unspaced });
+      }
+    } else if (LEET[ch]) {
+      token.push({ ch: LEET[ch], start, end, isCore: false, wildcard: false });
+    } else if (ch === WILDCARD) {
+      token.push({ ch, start, end, isCore: false, wildcard: false, isMask: true });
+    } else {
+      flushToken();
+    }
+  }
+  flushToken();
+  
+  return units;
+}
+
+/**
+ * Compile a lexicon definition into a trie
+ * @param {Object} definition - The parsed lexicon JSON
+ * @returns {Object} - The trie root
+ */
+function buildTrie(definition) {
+  let nextId = 0;
+  const createNode = depth => ({ id: nextId++, depth, children: new Map(), entry: null });
+  const root = createNode(0);
+  
+  Object.entries(definition.categories || {}).forEach(([category, { severity, words }]) => {
+    (words || []).forEach(word => {
+      let node = root;
+      
+      normalizeText(word).forEach(({ ch }) => {
+        if (!node.children.has(ch)) {
+          node.children.set(ch, createNode(node.depth + 1));
+        }
+        node = node.children.get(ch);
+      });
+      
+      // The first category to list a word wins
+      if (node !== root && !node.entry) {
+        node.entry = { word, category, severity: severity || 'medium' };
+      }
+    });
+  });
+  
+  return root;
+}
+
+/**
+ * Find the longest lexicon entry starting at a unit
+ * @param {Object} root - The trie root
+ * @param {Array<Object>} units - The normalized units
+ * @param {number} startIndex - The unit to start matching at
+ * @returns {Object|null} - The entry and the index just past the match
+ */
+function matchAt(root, units, startIndex) {
+  let best = null;
+  const visited = new Set();
+  const stack = [{ node: root, index: startIndex, previous: null, literals: 0 }];
+  
+  while (stack.length > 0) {
+    const { node, index, previous, literals } = stack.pop();
+    const key = `${node.id}:${index}:${previous}`;
+    if (visited.has(key)) {
+      continue;
+    }
+    visited.add(key);
+    
+    const wildcards = node.depth - literals;
+    if (node.entry && units[index - 1].canEnd &&
+        literals >= MIN_LITERALS && wildcards <= literals &&
+        (!best || index > best.end)) {
+      best = { entry: node.entry, end: index };
+    }
+    
+    if (index >= units.length) {
+      continue;
+    }
+    
+    const unit = units[index];
+    if (unit.wildcard) {
+      // A mask character stands in for any single letter
+      node.children.forEach((child, ch) => {
+        if (ch !== ' ') {
+          stack.push({ node: child, index: index + 1, previous: null, literals });
+        }
+      });
+    } else {
+      const child = node.children.get(unit.ch);
+      if (child) {
+        stack.push({ node: child, index: index + 1, previous: unit.ch, literals: literals + 1 });
+      }
+      
+      // Tolerate stretched words like "fuuuck" by skipping repeated letters
+      if (unit.ch === previous && unit.ch !== ' ') {
+        stack.push({ node, index: index + 1, previous, literals });
+      }
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Read the word list for a language
+ * @param {string} language - The language code, e.g. "en"
+ * @returns {Object|null} - The parsed definition, or null if there is no list
+ */
+function loadDefinition(language) {
+  const filePath = path.join(LEXICON_DIR, `${path.basename(language)}.json`);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Combine two definitions; categories in both keep the first one's severity
+ * @param {Object} primary - The definition whose entries win
+ * @param {Object} secondary - The definition added to it
+ * @returns {Object} - The combined definition
+ */
+function mergeDefinitions(primary, secondary) {
+  const categories = { ...(primary.categories || {}) };
+  
+  Object.entries(secondary.categories || {}).forEach(([category, { severity, words }]) => {
+    categories[category] = categories[category]
+      ? { ...categories[category], words: [...(categories[category].words || []), ...(words || [])] }
+      : { severity, words };
+  });
+  
+  const allowedContexts = [...(primary.allowedContexts || []), ...(secondary.allowedContexts || [])];
+  
+  return { ...primary, categories, allowedContexts };
+}
+
+/**
+ * Load and compile the lexicon for a language
+ * @param {string} language - The language code, e.g. "en"
+ * @returns {Object} - The compiled lexicon
+ */
+function getLexicon(language = DEFAULT_LANGUAGE) {
+  if (compiledLexicons.has(language)) {
+    return compiledLexicons.get(language);
+  }
+  
+  const definition = loadDefinition(language);
+  if (!definition) {
+    // Fall back to the default language when no list exists, and remember
+    // that so the missing file is not looked for again
+    const fallback = language === DEFAULT_LANGUAGE ? createLexicon(language, {}) : getLexicon(DEFAULT_LANGUAGE);
+    compiledLexicons.set(language, fallback);
+    return fallback;
+  }
+  
+  const lexicon = createLexicon(language, language === DEFAULT_LANGUAGE
+    ? definition
+    : mergeDefinitions(definition, loadDefinition(DEFAULT_LANGUAGE) || {}));
+  compiledLexicons.set(language, lexicon);
+  return lexicon;
+}
+
+/**
+ * Create a lexicon from a definition
+ * @param {string} language - The language code
+ * @param {Object} definition - Categories mapping to severity and words
+ * @returns {Object} - The compiled lexicon
+ */
+function createLexicon(language, definition) {
+  const root = buildTrie(definition);
+  
+  // Normalized phrases after which a word is not a match, by word
+  const normalizePhrase = phrase => normalizeText(phrase).map(unit => unit.ch).join('');
+  const allowedAfter = new Map();
+  let longestPhrase = 0;
+  (definition.allowedContexts || []).forEach(({ word, after }) => {
+    const key = normalizePhrase(word);
+    const phrases = (after || []).map(normalizePhrase);
+    allowedAfter.set(key, [...(allowedAfter.get(key) || []), ...phrases]);
+    longestPhrase = Math.max(longestPhrase, ...phrases.map(phrase => phrase.length));
+  });
+  
+  /**
+   * Check whether a match is preceded by a phrase that makes it harmless,
+   * like the Roman numeral in "Super Bowl XXX"
+   * @param {Array<Object>} units - The normalized units
+   * @param {number} index - The unit the match starts at
+   * @param {string} word - The matched lexicon word
+   * @returns {boolean}
+   */
+  function isAllowedContext(units, index, word) {
+    const phrases = allowedAfter.get(normalizePhrase(word));
+    if (!phrases) {
+      return false;
+    }
+    
+    // Enough units for the longest phrase, its trailing space and one more
+    // character to tell whether the phrase starts a word
+    const preceding = ` ${units.slice(Math.max(0, index - longestPhrase - 2), index).map(unit => unit.ch).join('')}`;
+    return phrases.some(phrase => preceding.endsWith(` ${phrase} `));
+  }
+  
+  /**
+   * Find every lexicon match in the text
+   * @param {string} text - The text to search
+   * @returns {Array<Object>} - Matches with word, category, severity, start, end and text
+   */
+  function findMatches(text) {
+    const units = normalizeText(text);
+    const matches = [];
+    
+    for (let i = 0; i < units.length; i++) {
+      if (!units[i].canStart) {
+        continue;
+      }
+      
+      const match = matchAt(root, units, i);
+      if (match && !isAllowedContext(units, i, match.entry.word)) {
+        const start = units[i].start;
+        const end = units[match.end - 1].end;
+        
+        matches.push({
+          word: match.entry.word,
+          category: match.entry.category,
+          severity: match.entry.severity,
+          start,
+          end,
+          text: text.slice(start, end)
+        });
+        
+        i = match.end - 1;
+      }
+    }
+    
+    return matches;
+  }
+  
+  return {
+    language,
+    findMatches
+  };
+}
+
+/**
+ * Replace every matched span with asterisks, keeping whitespace
+ * @param {string} text - The original text
+ * @param {Array<Object>} matches - Matches with start and end offsets
+ * @returns {string} - The masked text
+ */
+function maskMatches(text, matches) {
+  let maskedText = '';
+  let cursor = 0;
+  
+  matches.forEach(({ start, end }) => {
+    maskedText += text.slice(cursor, start) + text.slice(start, end).replace(/\S/g, '*');
+    cursor = end;
+  });
+  
+  return maskedText + text.slice(cursor);
+}
+
+module.exports = {
+  UNSPACED_SCRIPT,
+  getLexicon,
+  createLexicon,
+  maskMatches
+};
@@ -0,0 +1,53 @@
+// Moderation provider selection
+//
+// Every provider exposes the same interface:
+//   analyzeText(text, { language })
+//                              -> { containsExplicitContent, categories,
+//                                   explicitWords, severity, filteredText }
+//   analyzeImage({ buffer, mimeType, url })
+//                              -> safe search annotation with adult, racy,
+//                                 violence, medical and spoof likelihoods
+//
+// Images reach the providers already fetched and validated by image_ingest.js;
+// url is the address they came from, or null for uploaded data.
+//
+// The provider is chosen with MODERATION_PROVIDER (google, local or mock).
+
+const providerModules = {
+  google: './google_provider',
+  local: './local_provider',
+  mock: './mock_provider'
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured moderation provider, loading it on first use
+ * @returns {Object} - The moderation provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    const name = (process.env.MODERATION_PROVIDER || 'google').toLowerCase();
+    
+    if (!providerModules[name]) {
+      throw new Error(`Unknown moderation provider: ${name}`);
+    }
+    
+    activeProvider = require(providerModules[name]);
+  }
+  
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider, e.g. with a test double
+ * @param {Object|null} provider - The provider to use, or null to reload from configuration
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  getProvider,
+  setProvider
+};
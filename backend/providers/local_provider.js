@@ -0,0 +1,67 @@
+// Rule-based moderation provider that runs entirely offline
+const { getLexicon, maskMatches } = require('../lexicon');
+
+// Keywords in an image URL that suggest a safe search category
+const imageRules = {
+  adult: ['porn', 'nsfw', 'nude', 'xxx', 'hentai'],
+  racy: ['lingerie', 'bikini', 'sexy'],
+  violence: ['gore', 'blood', 'violence', 'beheading'],
+  medical: ['surgery', 'wound', 'autopsy'],
+  spoof: ['meme']
+};
+
+const severityOrder = ['low', 'medium', 'high'];
+
+/**
+ * Analyze text content against the local lexicon
+ * @param {string} text - The text content to analyze
+ * @param {Object} [options]
+ * @param {string} [options.language] - The detected language code of the text
+ * @returns {Object} - The analysis in the same shape as the AI providers
+ */
+async function analyzeText(text, { language } = {}) {
+  const matches = getLexicon(language).findMatches(text);
+  
+  // The most severe matched category decides the overall severity
+  const severity = matches.reduce((current, match) => (
+    severityOrder.indexOf(match.severity) > severityOrder.indexOf(current) ? match.severity : current
+  ), 'low');
+  
+  return {
+    containsExplicitContent: matches.length > 0,
+    categories: [...new Set(matches.map(match => match.category))],
+    explicitWords: [...new Set(matches.map(match => match.word))],
+    severity,
+    filteredText: maskMatches(text, matches)
+  };
+}
+
+/**
+ * Estimate safe search likelihoods from keywords in the image URL
+ * @param {Object} image - Validated image bytes from the ingestion module
+ * @returns {Object} - A safe search annotation
+ */
+async function analyzeImage(image) {
+  // Base64 payloads carry no URL to inspect
+  const isUrl = Boolean(image.url);
+  const source = isUrl ? image.url.toLowerCase() : '';
+  const annotation = {};
+  
+  Object.keys(imageRules).forEach(category => {
+    if (!isUrl) {
+      annotation[category] = 'UNKNOWN';
+    } else if (imageRules[category].some(keyword => source.includes(keyword))) {
+      annotation[category] = 'LIKELY';
+    } else {
+      annotation[category] = 'VERY_UNLIKELY';
+    }
+  });
+  
+  return annotation;
+}
+
+module.exports = {
+  name: 'local',
+  analyzeText,
+  analyzeImage
+};
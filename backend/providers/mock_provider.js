@@ -0,0 +1,72 @@
+// Deterministic moderation provider for tests
+
+// Text containing this marker is always flagged
+const TEXT_MARKER = /\bmock-explicit\b/gi;
+
+// Image sources containing these markers get the matching likelihood
+const IMAGE_MARKERS = {
+  'mock-very-likely': 'VERY_LIKELY',
+  'mock-likely': 'LIKELY',
+  'mock-possible': 'POSSIBLE',
+  'mock-unlikely': 'UNLIKELY'
+};
+
+// Every call made to the provider, in order
+const calls = [];
+
+/**
+ * Flag text containing the mock marker
+ * @param {string} text - The text content to analyze
+ * @param {Object} [options] - Options such as the detected language
+ * @returns {Object} - The analysis in the same shape as the AI providers
+ */
+async function analyzeText(text, options = {}) {
+  calls.push({ type: 'text', input: text, options });
+  
+  const matches = text.match(TEXT_MARKER) || [];
+  
+  return {
+    containsExplicitContent: matches.length > 0,
+    categories: matches.length > 0 ? ['profanity'] : [],
+    explicitWords: matches.length > 0 ? ['mock-explicit'] : [],
+    severity: matches.length > 1 ? 'high' : 'medium',
+    filteredText: text.replace(TEXT_MARKER, match => '*'.repeat(match.length))
+  };
+}
+
+/**
+ * Report the same likelihood for every category based on markers in the source
+ * @param {Object} image - Validated image bytes from the ingestion module
+ * @returns {Object} - A safe search annotation
+ */
+async function analyzeImage(image) {
+  calls.push({ type: 'image', input: image });
+  
+  // Markers may be in the URL or embedded in the image bytes
+  const source = image.url || image.buffer.toString('latin1');
+  const marker = Object.keys(IMAGE_MARKERS).find(key => source.includes(key));
+  const likelihood = marker ? IMAGE_MARKERS[marker] : 'VERY_UNLIKELY';
+  
+  return {
+    adult: likelihood,
+    racy: likelihood,
+    violence: likelihood,
+    medical: likelihood,
+    spoof: likelihood
+  };
+}
+
+/**
+ * Clear the recorded calls
+ */
+function reset() {
+  calls.length = 0;
+}
+
+module.exports = {
+  name: 'mock',
+  analyzeText,
+  analyzeImage,
+  calls,
+  reset
+};
@@ -0,0 +1,150 @@
+// Parsing and validation of the JSON that language models return
+//
+// Models often wrap their JSON in code fences or surround it with prose, so
+// the first complete JSON object in the reply is extracted before it is
+// checked against the expected shape.
+
+// Text severity levels the model may report
+const SEVERITY_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * A model reply that could not be turned into a valid analysis
+ */
+class ModelOutputError extends Error {
+  constructor(message, responseText = '') {
+    super(message);
+    this.name = 'ModelOutputError';
+    this.responseText = responseText;
+  }
+}
+
+/**
+ * Walk from the first brace to its matching close, skipping braces in strings
+ * @param {string} source - The text to search
+ * @returns {string|null} - The JSON object text, or null if there is none
+ */
+function findJsonObject(source) {
+  const start = source.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+  
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+      }
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        return source.slice(start, i + 1);
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Find the first complete JSON object in a model reply
+ * @param {string} responseText - The raw model text
+ * @returns {string|null} - The JSON object text, or null if there is none
+ */
+function extractJsonObject(responseText) {
+  // Prefer the contents of a fenced block when there is one. Backticks in a
+  // JSON string, e.g. in echoed page text, end the fence early; the object
+  // is then incomplete and the whole reply is searched instead.
+  const fenced = responseText.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  return (fenced && findJsonObject(fenced[1])) || findJsonObject(responseText);
+}
+
+/**
+ * Check whether a value is an array of strings
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Check a parsed text analysis against the expected shape
+ * @param {*} analysis - The parsed model output
+ * @returns {Array<string>} - Problems found, empty if the analysis is valid
+ */
+function validateTextAnalysis(analysis) {
+  if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+    return ['the response must be a JSON object'];
+  }
+  
+  const errors = [];
+  if (typeof analysis.containsExplicitContent !== 'boolean') {
+    errors.push('"containsExplicitContent" must be true or false');
+  }
+  if (!isStringArray(analysis.categories)) {
+    errors.push('"categories" must be an array of strings');
+  }
+  if (!isStringArray(analysis.explicitWords)) {
+    errors.push('"explicitWords" must be an array of strings');
+  }
+  if (!SEVERITY_LEVELS.includes(analysis.severity)) {
+    errors.push(`"severity" must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+  }
+  // The masked text is optional; it can be rebuilt from the explicit words
+  if (analysis.filteredText !== undefined && typeof analysis.filteredText !== 'string') {
+    errors.push('"filteredText" must be a string');
+  }
+  
+  return errors;
+}
+
+/**
+ * Extract and validate a text analysis from a model reply
+ * @param {string} responseText - The raw model text
+ * @returns {Object} - The validated analysis
+ */
+function parseTextAnalysis(responseText) {
+  const jsonText = extractJsonObject(responseText || '');
+  if (!jsonText) {
+    throw new ModelOutputError('Model response does not contain a JSON object', responseText);
+  }
+  
+  let analysis;
+  try {
+    analysis = JSON.parse(jsonText);
+  } catch (error) {
+    throw new ModelOutputError(`Model response is not valid JSON: ${error.message}`, responseText);
+  }
+  
+  // Accept severities in any letter case
+  if (typeof analysis?.severity === 'string') {
+    analysis.severity = analysis.severity.toLowerCase();
+  }
+  
+  const errors = validateTextAnalysis(analysis);
+  if (errors.length > 0) {
+    throw new ModelOutputError(`Model response does not match the schema: ${errors.join('; ')}`, responseText);
+  }
+  
+  return analysis;
+}
+
+module.exports = {
+  ModelOutputError,
+  extractJsonObject,
+  validateTextAnalysis,
+  parseTextAnalysis
+};
@@ -0,0 +1,227 @@
+// Content-addressed cache for text and image verdicts
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// How often expired entries are removed from the on-disk store
+const DISK_SWEEP_INTERVAL_MS = parseInt(process.env.RESULT_CACHE_SWEEP_SECONDS || '600') * 1000;
+
+/**
+ * Serialize a value with sorted object keys so equal profiles hash equally
+ * @param {*} value - The value to serialize
+ * @returns {string} - The stable JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  
+  return JSON.stringify(value);
+}
+
+/**
+ * Build a cache key from the content and the threshold profile
+ * @param {string} kind - The kind of content, e.g. text or image
+ * @param {string|Buffer} content - The normalized content
+ * @param {Object} profile - The threshold profile applied to the content
+ * @returns {string} - The hex digest key
+ */
+function createCacheKey(kind, content, profile) {
+  return crypto.createHash('sha256')
+    .update(kind)
+    .update('\0')
+    .update(content)
+    .update('\0')
+    .update(stableStringify(profile || {}))
+    .digest('hex');
+}
+
+/**
+ * Create an LRU cache with a TTL and an optional on-disk store. The store
+ * holds at most maxEntries files too, dropping the oldest writes first, and
+ * expired files are swept at startup and every DISK_SWEEP_INTERVAL_MS.
+ * @param {Object} options - Cache options
+ * @param {string} options.name - Name used for the on-disk sub-directory
+ * @param {number} options.maxEntries - Maximum number of entries kept in memory
+ * @param {number} options.ttlMs - Time to live for each entry in milliseconds
+ * @param {string} [options.storeDir] - Directory for the on-disk store
+ * @returns {Object} - The cache
+ */
+function createResultCache({ name, maxEntries, ttlMs, storeDir }) {
+  // Map iteration order doubles as recency order, oldest first
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+  const enabled = ttlMs > 0 && maxEntries > 0;
+  const dir = enabled && storeDir ? path.join(storeDir, name) : null;
+  
+  // Expiry time of each file in the store, oldest write first; with one
+  // TTL for every entry this is also the order in which they expire
+  const diskEntries = new Map();
+  
+  function removeFromDisk(key) {
+    diskEntries.delete(key);
+    fs.promises.unlink(path.join(dir, `${key}.json`)).catch(() => {});
+  }
+  
+  function trimDisk() {
+    while (diskEntries.size > maxEntries) {
+      removeFromDisk(diskEntries.keys().next().value);
+    }
+  }
+  
+  function sweepDisk() {
+    const now = Date.now();
+    for (const [key, expiresAt] of diskEntries) {
+      if (expiresAt > now) {
+        break;
+      }
+      removeFromDisk(key);
+    }
+  }
+  
+  // Index the files left by earlier runs; a file expires ttlMs after it was written
+  function loadDiskIndex() {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => ({ key: file.slice(0, -'.json'.length), expiresAt: fs.statSync(path.join(dir, file)).mtimeMs + ttlMs }))
+      .sort((a, b) => a.expiresAt - b.expiresAt)
+      .forEach(({ key, expiresAt }) => diskEntries.set(key, expiresAt));
+    
+    sweepDisk();
+    trimDisk();
+  }
+  
+  if (dir) {
+    loadDiskIndex();
+    setInterval(sweepDisk, DISK_SWEEP_INTERVAL_MS).unref();
+  }
+  
+  function remember(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    
+    // Evict the least recently used entries
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+  
+  async function readFromDisk(key) {
+    if (!dir || !diskEntries.has(key)) {
+      return null;
+    }
+    
+    const filePath = path.join(dir, `${key}.json`);
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      if (entry.expiresAt > Date.now()) {
+        return entry;
+      }
+      
+      // Remove expired entries as they are found
+      removeFromDisk(key);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading cache entry:', error);
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Look up a cached value
+   * @param {string} key - The cache key
+   * @returns {*} - The cached value, or undefined on a miss
+   */
+  async function get(key) {
+    if (!enabled) {
+      return undefined;
+    }
+    
+    let entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      entry = null;
+    }
+    
+    if (!entry) {
+      entry = await readFromDisk(key);
+    }
+    
+    if (!entry) {
+      stats.misses++;
+      return undefined;
+    }
+    
+    stats.hits++;
+    remember(key, entry);
+    return entry.value;
+  }
+  
+  /**
+   * Store a value in the cache
+   * @param {string} key - The cache key
+   * @param {*} value - The value to store
+   */
+  function set(key, value) {
+    if (!enabled) {
+      return;
+    }
+    
+    const entry = { value, expiresAt: Date.now() + ttlMs };
+    remember(key, entry);
+    
+    if (dir) {
+      diskEntries.delete(key);
+      diskEntries.set(key, entry.expiresAt);
+      trimDisk();
+      fs.promises.writeFile(path.join(dir, `${key}.json`), JSON.stringify(entry))
+        .catch(error => console.error('Error writing cache entry:', error));
+    }
+  }
+  
+  /**
+   * Report hit and miss counts for the health endpoint
+   * @returns {Object} - The cache statistics
+   */
+  function getStats() {
+    return {
+      enabled,
+      hits: stats.hits,
+      misses: stats.misses,
+      size: entries.size,
+      maxEntries
+    };
+  }
+  
+  return {
+    get,
+    set,
+    getStats
+  };
+}
+
+// Shared caches configured from the environment
+const cacheOptions = {
+  maxEntries: parseInt(process.env.RESULT_CACHE_MAX_ENTRIES || '10000'),
+  ttlMs: parseInt(process.env.RESULT_CACHE_TTL_SECONDS || '86400') * 1000,
+  storeDir: process.env.RESULT_CACHE_DIR
+};
+
+const textCache = createResultCache({ name: 'text', ...cacheOptions });
+const imageCache = createResultCache({ name: 'image', ...cacheOptions });
+
+module.exports = {
+  createCacheKey,
+  createResultCache,
+  textCache,
+  imageCache
+};
@@ -0,0 +1,208 @@
+// Threshold profiles that map the extension's sensitivity level onto
+// Vision likelihood cut-offs and the text severity cut-off, plus the action
+// taken for each image category once its cut-off is met
+
+// Vision API likelihood levels in order of severity
+const LIKELIHOOD_ORDER = [
+  'UNKNOWN', 'VERY_UNLIKELY', 'UNLIKELY', 'POSSIBLE', 'LIKELY', 'VERY_LIKELY'
+];
+
+// Numeric score for each likelihood level, from 0 (unknown) to 1 (very likely)
+const LIKELIHOOD_SCORES = {
+  UNKNOWN: 0,
+  VERY_UNLIKELY: 0.2,
+  UNLIKELY: 0.4,
+  POSSIBLE: 0.6,
+  LIKELY: 0.8,
+  VERY_LIKELY: 1
+};
+
+// Text severity levels reported by the moderation provider
+const SEVERITY_ORDER = ['low', 'medium', 'high'];
+
+// Categories that accept a per-request threshold override
+const IMAGE_CATEGORIES = ['adult', 'racy', 'violence', 'medical', 'spoof'];
+
+// What to do with an image whose category meets its threshold, strongest first
+const IMAGE_ACTIONS = ['blur', 'warn', 'allow'];
+
+// Racy content is only flagged with a warning unless the user asks for more
+const DEFAULT_IMAGE_ACTIONS = {
+  adult: 'blur',
+  racy: 'warn',
+  violence: 'blur',
+  medical: 'blur',
+  spoof: 'blur'
+};
+
+const SENSITIVITY_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Build the threshold profile for a sensitivity level.
+ * Medium keeps the environment-configured thresholds.
+ * @param {string} level - low, medium or high
+ * @returns {Object} - The threshold profile
+ */
+function getSensitivityProfile(level) {
+  if (level === 'low') {
+    return {
+      adult: 'LIKELY',
+      racy: 'VERY_LIKELY',
+      violence: 'LIKELY',
+      medical: 'VERY_LIKELY',
+      spoof: 'VERY_LIKELY',
+      text: 'high'
+    };
+  }
+  
+  if (level === 'high') {
+    return {
+      adult: 'UNLIKELY',
+      racy: 'POSSIBLE',
+      violence: 'UNLIKELY',
+      medical: 'POSSIBLE',
+      spoof: 'LIKELY',
+      text: 'low'
+    };
+  }
+  
+  return {
+    adult: process.env.MIN_ADULT_CONTENT_LIKELIHOOD || 'POSSIBLE',
+    racy: process.env.MIN_RACY_CONTENT_LIKELIHOOD || 'LIKELY',
+    violence: process.env.MIN_VIOLENCE_CONTENT_LIKELIHOOD || 'POSSIBLE',
+    medical: process.env.MIN_MEDICAL_CONTENT_LIKELIHOOD || 'LIKELY',
+    spoof: process.env.MIN_SPOOF_CONTENT_LIKELIHOOD || 'VERY_LIKELY',
+    text: process.env.MIN_TEXT_SEVERITY || 'medium'
+  };
+}
+
+/**
+ * Validate the sensitivity options sent with a request
+ * @param {Object} options - The request options
+ * @param {string} [options.sensitivity] - low, medium or high
+ * @param {Object} [options.thresholds] - Per-category threshold overrides
+ * @param {Object} [options.actions] - Per-category image actions
+ * @returns {string|null} - An error message, or null if the options are valid
+ */
+function validateProfileOptions({ sensitivity, thresholds, actions } = {}) {
+  if (sensitivity !== undefined && !SENSITIVITY_LEVELS.includes(sensitivity)) {
+    return `Sensitivity must be one of: ${SENSITIVITY_LEVELS.join(', ')}`;
+  }
+  
+  if (actions !== undefined) {
+    const actionsError = validateImageActions(actions);
+    if (actionsError) {
+      return actionsError;
+    }
+  }
+  
+  if (thresholds === undefined) {
+    return null;
+  }
+  
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    return 'Thresholds must be an object';
+  }
+  
+  for (const [category, value] of Object.entries(thresholds)) {
+    if (category === 'text') {
+      if (!SEVERITY_ORDER.includes(value)) {
+        return `Text threshold must be one of: ${SEVERITY_ORDER.join(', ')}`;
+      }
+    } else if (!IMAGE_CATEGORIES.includes(category)) {
+      return `Unknown threshold category: ${category}`;
+    } else if (!LIKELIHOOD_ORDER.includes(value)) {
+      return `Threshold for ${category} must be one of: ${LIKELIHOOD_ORDER.join(', ')}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate per-category image actions
+ * @param {Object} actions - Map of image category to blur, warn or allow
+ * @returns {string|null} - An error message, or null if the actions are valid
+ */
+function validateImageActions(actions) {
+  if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+    return 'Actions must be an object';
+  }
+  
+  for (const [category, action] of Object.entries(actions)) {
+    if (!IMAGE_CATEGORIES.includes(category)) {
+      return `Unknown action category: ${category}`;
+    }
+    if (!IMAGE_ACTIONS.includes(action)) {
+      return `Action for ${category} must be one of: ${IMAGE_ACTIONS.join(', ')}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Resolve the threshold profile for a request
+ * @param {Object} options - The validated request options
+ * @param {string} [options.sensitivity] - low, medium or high
+ * @param {Object} [options.thresholds] - Per-category threshold overrides
+ * @param {Object} [options.actions] - Per-category image actions
+ * @returns {Object} - The threshold profile
+ */
+function resolveProfile({ sensitivity, thresholds, actions } = {}) {
+  return {
+    ...getSensitivityProfile(sensitivity || 'medium'),
+    ...(thresholds || {}),
+    actions: { ...DEFAULT_IMAGE_ACTIONS, ...(actions || {}) }
+  };
+}
+
+/**
+ * Convert a Vision likelihood to a numeric score
+ * @param {string} likelihood - The likelihood level
+ * @returns {number} - Score between 0 and 1, with 0 for unrecognized levels
+ */
+function likelihoodScore(likelihood) {
+  return LIKELIHOOD_SCORES[likelihood] || 0;
+}
+
+/**
+ * Pick the strongest of several image actions
+ * @param {string[]} actions - blur, warn or allow
+ * @returns {string} - The strongest action, or allow if there are none
+ */
+function strongestAction(actions) {
+  return IMAGE_ACTIONS.find(action => actions.includes(action)) || 'allow';
+}
+
+/**
+ * Check whether a Vision likelihood meets a threshold
+ * @param {string} likelihood - The detected likelihood
+ * @param {string} threshold - The minimum likelihood to flag
+ * @returns {boolean}
+ */
+function meetsLikelihood(likelihood, threshold) {
+  return LIKELIHOOD_ORDER.indexOf(likelihood) >= LIKELIHOOD_ORDER.indexOf(threshold);
+}
+
+/**
+ * Check whether a text severity meets a threshold
+ * @param {string} severity - The reported severity
+ * @param {string} threshold - The minimum severity to flag
+ * @returns {boolean}
+ */
+function meetsSeverity(severity, threshold) {
+  const index = SEVERITY_ORDER.indexOf(severity);
+  // Treat an unknown severity as medium
+  return (index === -1 ? 1 : index) >= SEVERITY_ORDER.indexOf(threshold);
+}
+
+module.exports = {
+  IMAGE_CATEGORIES,
+  validateProfileOptions,
+  resolveProfile,
+  meetsLikelihood,
+  meetsSeverity,
+  likelihoodScore,
+  strongestAction
+};
@@ -3,14 +3,25 @@ const express = require('express');
 const cors = require('cors');
 const textFilter = require('./text_content_filteration');
 const imageFilter = require('./image_filteration');
+const { getProvider } = require('./providers');
+const { validateProfileOptions, resolveProfile } = require('./sensitivity');
+const { textCache, imageCache } = require('./result_cache');
+const { requireApiKey, requireAdminToken, issueApiKey } = require('./auth');
+const { ImageIngestError, isImageUrl } = require('./image_ingest');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '100');
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '5');
 
-// Enable CORS for all routes
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Enable CORS for all routes; access to /api is controlled by API keys
+app.use(cors({ exposedHeaders: ['Retry-After', 'X-RateLimit-Remaining', 'X-Quota-Remaining'] }));
+// Large enough for a base64 image at the MAX_IMAGE_BYTES limit
+app.use(express.json({ limit: '15mb' }));
+app.use(express.urlencoded({ extended: true, limit: '15mb' }));
+
+// Require an API key for every API route
+app.use('/api', requireApiKey);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -19,40 +30,151 @@ app.get('/', (req, res) => {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Socio.io backend is running' });
+  res.status(200).json({
+    status: 'ok',
+    message: 'Socio.io backend is running',
+    provider: getProvider().name,
+    cache: {
+      text: textCache.getStats(),
+      image: imageCache.getStats()
+    }
+  });
+});
+
+// Issue a new API key for an installation or team
+app.post('/admin/keys', requireAdminToken, (req, res) => {
+  const { name } = req.body;
+  
+  if (!name) {
+    return res.status(400).json({ error: 'A name for the key is required' });
+  }
+  
+  res.status(201).json({ key: issueApiKey(name), name });
 });
 
 // Text content filtering endpoint
 app.post('/api/filter-text', async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text, sensitivity, thresholds } = req.body;
     
-    if (!text) {
-      return res.status(400).json({ error: 'Text content is required' });
+    if (typeof text !== 'string' || text.length === 0) {
+      return res.status(400).json({ error: 'Text content must be a non-empty string' });
     }
     
-    const result = await textFilter.analyzeText(text);
+    const profileError = validateProfileOptions({ sensitivity, thresholds });
+    if (profileError) {
+      return res.status(400).json({ error: profileError });
+    }
+    
+    const profile = resolveProfile({ sensitivity, thresholds });
+    const result = await textFilter.analyzeText(text, profile);
     res.json(result);
   } catch (error) {
     console.error('Error in text filtering:', error);
-    res.status(500).json({ error: 'Failed to analyze text content', details: error.message });
+    res.status(500).json({ error: 'Failed to analyze text content' });
+  }
+});
+
+// Batch text content filtering endpoint
+app.post('/api/filter-text/batch', async (req, res) => {
+  try {
+    const { items, sensitivity, thresholds } = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'A non-empty items array is required' });
+    }
+    
+    if (items.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `A batch may contain at most ${MAX_BATCH_SIZE} items` });
+    }
+    
+    const isValidItem = item => item && (typeof item.id === 'string' || typeof item.id === 'number') &&
+      typeof item.text === 'string' && item.text.length > 0;
+    
+    if (!items.every(isValidItem)) {
+      return res.status(400).json({ error: 'Each item must have a string or number id and non-empty text' });
+    }
+    
+    const profileError = validateProfileOptions({ sensitivity, thresholds });
+    if (profileError) {
+      return res.status(400).json({ error: profileError });
+    }
+    
+    const profile = resolveProfile({ sensitivity, thresholds });
+    const results = await textFilter.analyzeTextBatch(items, BATCH_CONCURRENCY, profile);
+    res.json({ results });
+  } catch (error) {
+    console.error('Error in batch text filtering:', error);
+    res.status(500).json({ error: 'Failed to analyze text content' });
   }
 });
 
 // Image content filtering endpoint
 app.post('/api/filter-image', async (req, res) => {
   try {
-    const { imageUrl, imageBase64 } = req.body;
+    const { imageUrl, imageBase64, sensitivity, thresholds, actions } = req.body;
     
     if (!imageUrl && !imageBase64) {
       return res.status(400).json({ error: 'Image URL or base64 data is required' });
     }
     
-    const result = await imageFilter.analyzeImage(imageUrl || imageBase64);
+    if (typeof (imageUrl || imageBase64) !== 'string') {
+      return res.status(400).json({ error: 'Image URL or base64 data must be a string' });
+    }
+    
+    const profileError = validateProfileOptions({ sensitivity, thresholds, actions });
+    if (profileError) {
+      return res.status(400).json({ error: profileError });
+    }
+    
+    const profile = resolveProfile({ sensitivity, thresholds, actions });
+    const result = await imageFilter.analyzeImage(imageUrl || imageBase64, profile);
     res.json(result);
   } catch (error) {
+    if (error instanceof ImageIngestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
     console.error('Error in image filtering:', error);
-    res.status(500).json({ error: 'Failed to analyze image content', details: error.message });
+    res.status(500).json({ error: 'Failed to analyze image content' });
+  }
+});
+
+// Video frame filtering endpoint; frames are captured by the client and
+// judged with the same thresholds as still images
+app.post('/api/filter-video-frame', async (req, res) => {
+  try {
+    const { frameBase64, timestamp, sensitivity, thresholds, actions } = req.body;
+    
+    if (typeof frameBase64 !== 'string' || !frameBase64) {
+      return res.status(400).json({ error: 'Frame base64 data is required' });
+    }
+    
+    if (isImageUrl(frameBase64)) {
+      return res.status(400).json({ error: 'Frames must be sent as base64 image data, not URLs' });
+    }
+    
+    if (timestamp !== undefined && typeof timestamp !== 'number') {
+      return res.status(400).json({ error: 'Timestamp must be a number of seconds' });
+    }
+    
+    const profileError = validateProfileOptions({ sensitivity, thresholds, actions });
+    if (profileError) {
+      return res.status(400).json({ error: profileError });
+    }
+    
+    const profile = resolveProfile({ sensitivity, thresholds, actions });
+    // Frames are rarely identical, so caching them would only evict the
+    // page images the cache is there for
+    const result = await imageFilter.analyzeImage(frameBase64, profile, { useCache: false });
+    res.json({ ...result, timestamp });
+  } catch (error) {
+    if (error instanceof ImageIngestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
+    console.error('Error in video frame filtering:', error);
+    res.status(500).json({ error: 'Failed to analyze video frame' });
   }
 });
 
@@ -0,0 +1,52 @@
+// Tests for API key checks and rate limiting
+process.env.API_KEYS = 'test-key:tests';
+process.env.API_KEYS_FILE = '';
+process.env.ALLOW_UNAUTHENTICATED_API = '';
+process.env.RATE_LIMIT_BURST = '3';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireApiKey } = require('../auth');
+
+/**
+ * Run the middleware on a fake request
+ * @param {Object} headers - Request headers, by lower-case name
+ * @returns {{status: number, headers: Object, passed: boolean}}
+ */
+function callWithHeaders(headers) {
+  const outcome = { status: 200, headers: {}, passed: false };
+  const req = { body: {}, get: name => headers[name.toLowerCase()] };
+  const res = {
+    set(name, value) {
+      outcome.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  
+  requireApiKey(req, res, () => {
+    outcome.passed = true;
+  });
+  return outcome;
+}
+
+test('requests without a valid key are refused', () => {
+  assert.strictEqual(callWithHeaders({}).status, 401);
+  assert.strictEqual(callWithHeaders({ 'x-api-key': 'wrong' }).status, 401);
+});
+
+test('a valid key is accepted until its burst is used up', () => {
+  for (let i = 0; i < 3; i++) {
+    assert.ok(callWithHeaders({ authorization: 'Bearer test-key' }).passed);
+  }
+  
+  const limited = callWithHeaders({ 'x-api-key': 'test-key' });
+  assert.strictEqual(limited.status, 429);
+  assert.ok(parseInt(limited.headers['Retry-After']) >= 1);
+});
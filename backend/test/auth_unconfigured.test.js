@@ -0,0 +1,21 @@
+// Tests for the API without any configured keys
+process.env.API_KEYS = '';
+process.env.API_KEYS_FILE = '';
+process.env.ALLOW_UNAUTHENTICATED_API = '';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireApiKey } = require('../auth');
+
+test('the API refuses every request when no keys are configured', () => {
+  let status = 200;
+  let passed = false;
+  const res = { set() { return this; }, status(code) { status = code; return this; }, json() { return this; } };
+  
+  requireApiKey({ body: {}, get: () => 'any-key' }, res, () => {
+    passed = true;
+  });
+  
+  assert.strictEqual(passed, false);
+  assert.strictEqual(status, 401);
+});
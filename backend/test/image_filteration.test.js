@@ -0,0 +1,39 @@
+// Tests for how image verdicts use the result cache
+process.env.RESULT_CACHE_DIR = '';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setProvider } = require('../providers');
+const mockProvider = require('../providers/mock_provider');
+const { analyzeImage } = require('../image_filteration');
+
+setProvider(mockProvider);
+test.beforeEach(() => mockProvider.reset());
+
+/**
+ * Build a base64 PNG payload carrying a marker for the mock provider
+ * @param {string} marker - Text embedded after the PNG signature
+ * @returns {string}
+ */
+function pngBase64(marker) {
+  return Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.from(marker)]).toString('base64');
+}
+
+test('repeated images are answered from the cache', async () => {
+  const image = pngBase64('cached mock-likely');
+  const first = await analyzeImage(image);
+  const second = await analyzeImage(image);
+  
+  assert.strictEqual(mockProvider.calls.length, 1);
+  assert.deepStrictEqual(second, first);
+});
+
+test('images analyzed without the cache are neither read from nor stored in it', async () => {
+  const image = pngBase64('uncached mock-likely');
+  await analyzeImage(image, undefined, { useCache: false });
+  await analyzeImage(image, undefined, { useCache: false });
+  assert.strictEqual(mockProvider.calls.length, 2);
+  
+  await analyzeImage(image);
+  assert.strictEqual(mockProvider.calls.length, 3);
+});
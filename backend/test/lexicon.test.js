@@ -0,0 +1,62 @@
+// Tests for the lexicon engine's matching of obfuscated words
+const test = require('node:test');
+const assert = require('node:assert');
+const { getLexicon, maskMatches } = require('../lexicon');
+
+const lexicon = getLexicon('en');
+
+/**
+ * List the lexicon words found in a text
+ * @param {string} text - The text to search
+ * @returns {Array<string>}
+ */
+function wordsIn(text) {
+  return lexicon.findMatches(text).map(match => match.word);
+}
+
+test('leet substitutions are matched', () => {
+  assert.deepStrictEqual(wordsIn('sh1t happens'), ['shit']);
+  assert.deepStrictEqual(wordsIn('what a $hit day'), ['shit']);
+  assert.deepStrictEqual(wordsIn('p0rn'), ['porn']);
+});
+
+test('look-alike letters from other scripts are matched', () => {
+  assert.deepStrictEqual(wordsIn('ѕhit'), ['shit']);
+  assert.deepStrictEqual(wordsIn('fυck'), ['fuck']);
+});
+
+test('stretched words are matched', () => {
+  assert.deepStrictEqual(wordsIn('fuuuuck'), ['fuck']);
+  assert.deepStrictEqual(wordsIn('shiiiit'), ['shit']);
+});
+
+test('asterisks after a letter stand for letters', () => {
+  assert.deepStrictEqual(wordsIn('f*ck'), ['fuck']);
+  assert.deepStrictEqual(wordsIn('f**k this'), ['fuck']);
+  assert.deepStrictEqual(wordsIn('*sh*t*'), ['shit']);
+});
+
+test('asterisks used for emphasis are not letters', () => {
+  assert.deepStrictEqual(wordsIn('that song was a *hit* last year'), []);
+  assert.deepStrictEqual(wordsIn('**it** works fine'), []);
+  assert.deepStrictEqual(wordsIn('the *fuck*'), ['fuck']);
+});
+
+test('words inside other words are not matched', () => {
+  assert.deepStrictEqual(wordsIn('Scunthorpe'), []);
+  assert.deepStrictEqual(wordsIn('assessment'), []);
+});
+
+test('Roman numerals are not read as xxx', () => {
+  assert.deepStrictEqual(wordsIn('Super Bowl XXX'), []);
+  assert.deepStrictEqual(wordsIn('Chapter XXX begins'), []);
+  assert.deepStrictEqual(wordsIn('free XXX videos'), ['xxx']);
+});
+
+test('spans are offsets into the original text', () => {
+  const text = '😀 ѕh1iiit, you f*ck';
+  const matches = lexicon.findMatches(text);
+  
+  assert.deepStrictEqual(matches.map(({ start, end }) => text.slice(start, end)), ['ѕh1iiit', 'f*ck']);
+  assert.strictEqual(maskMatches(text, matches), '😀 *******, you ****');
+});
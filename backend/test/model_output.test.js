@@ -0,0 +1,28 @@
+// Tests for reading the JSON that language models return
+const test = require('node:test');
+const assert = require('node:assert');
+const { ModelOutputError, extractJsonObject, parseTextAnalysis } = require('../providers/model_output');
+
+const analysis = {
+  containsExplicitContent: true,
+  categories: ['profanity'],
+  explicitWords: ['word'],
+  severity: 'High'
+};
+
+test('JSON is found inside a code fence or surrounding prose', () => {
+  assert.strictEqual(extractJsonObject('```json\n{"a": 1}\n```'), '{"a": 1}');
+  assert.strictEqual(extractJsonObject('Here you go: {"a": {"b": "}"}} done'), '{"a": {"b": "}"}}');
+  assert.strictEqual(extractJsonObject('no object here'), null);
+});
+
+test('backticks inside a fenced JSON string do not cut the object short', () => {
+  const reply = '```json\n' + JSON.stringify({ ...analysis, filteredText: '```json\n{}\n``` text' }) + '\n```';
+  assert.strictEqual(parseTextAnalysis(reply).filteredText, '```json\n{}\n``` text');
+});
+
+test('analyses are validated and severities lower-cased', () => {
+  assert.strictEqual(parseTextAnalysis(JSON.stringify(analysis)).severity, 'high');
+  assert.throws(() => parseTextAnalysis('{"containsExplicitContent": "yes"}'), ModelOutputError);
+  assert.throws(() => parseTextAnalysis('not json'), ModelOutputError);
+});
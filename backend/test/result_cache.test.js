@@ -0,0 +1,60 @@
+// Tests for the on-disk store of the result cache
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResultCache } = require('../result_cache');
+
+/**
+ * Make an empty directory for a cache store
+ * @returns {string}
+ */
+function makeStoreDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'socio-cache-'));
+}
+
+/**
+ * Wait for pending file writes and removals
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('the on-disk store keeps at most maxEntries files', async () => {
+  const storeDir = makeStoreDir();
+  const cache = createResultCache({ name: 'text', maxEntries: 3, ttlMs: 60000, storeDir });
+  
+  ['a', 'b', 'c', 'd', 'e'].forEach(key => cache.set(key, { key }));
+  await settle();
+  
+  assert.deepStrictEqual(fs.readdirSync(path.join(storeDir, 'text')).sort(), ['c.json', 'd.json', 'e.json']);
+  fs.rmSync(storeDir, { recursive: true });
+});
+
+test('entries are read back from disk by a new cache', async () => {
+  const storeDir = makeStoreDir();
+  createResultCache({ name: 'text', maxEntries: 3, ttlMs: 60000, storeDir }).set('a', { value: 1 });
+  await settle();
+  
+  const reloaded = createResultCache({ name: 'text', maxEntries: 3, ttlMs: 60000, storeDir });
+  assert.deepStrictEqual(await reloaded.get('a'), { value: 1 });
+  fs.rmSync(storeDir, { recursive: true });
+});
+
+test('expired files are swept when the cache starts', async () => {
+  const storeDir = makeStoreDir();
+  const dir = path.join(storeDir, 'text');
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify({ value: 1, expiresAt: 0 }));
+  fs.writeFileSync(path.join(dir, 'new.json'), JSON.stringify({ value: 2, expiresAt: Date.now() + 60000 }));
+  const hourAgo = new Date(Date.now() - 3600000);
+  fs.utimesSync(path.join(dir, 'old.json'), hourAgo, hourAgo);
+  
+  createResultCache({ name: 'text', maxEntries: 10, ttlMs: 60000, storeDir });
+  await settle();
+  
+  assert.deepStrictEqual(fs.readdirSync(dir), ['new.json']);
+  fs.rmSync(storeDir, { recursive: true });
+});
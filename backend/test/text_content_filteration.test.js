@@ -0,0 +1,110 @@
+// Tests for merging the spans the moderation provider reports for each chunk
+process.env.RESULT_CACHE_TTL_SECONDS = '0';
+process.env.TEXT_CHUNK_MAX_TOKENS = '10';
+process.env.TEXT_CHUNK_OVERLAP_TOKENS = '5';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setProvider } = require('../providers');
+const mockProvider = require('../providers/mock_provider');
+const { analyzeText } = require('../text_content_filteration');
+
+setProvider(mockProvider);
+test.beforeEach(() => mockProvider.reset());
+
+/**
+ * Cut the flagged ranges out of a text
+ * @param {string} text - The analyzed text
+ * @param {Array<{start: number, end: number}>} spans - The flagged spans
+ * @returns {Array<string>}
+ */
+function spanTexts(text, spans) {
+  return spans.map(({ start, end }) => text.slice(start, end));
+}
+
+test('short texts are sent to the provider whole', async () => {
+  const text = 'Say mock-explicit here.';
+  const result = await analyzeText(text);
+  
+  assert.strictEqual(mockProvider.calls.length, 1);
+  assert.strictEqual(mockProvider.calls[0].input, text);
+  assert.strictEqual(result.source, 'model');
+  assert.deepStrictEqual(spanTexts(text, result.spans), ['mock-explicit']);
+  assert.strictEqual(result.filteredText, 'Say ************* here.');
+});
+
+test('spans found in later chunks are offset into the whole text', async () => {
+  const text = 'First sentence here. Second one is calm. Third has mock-explicit in it.';
+  const result = await analyzeText(text);
+  
+  assert.ok(mockProvider.calls.length > 1);
+  assert.deepStrictEqual(spanTexts(text, result.spans), ['mock-explicit']);
+  assert.strictEqual(result.filteredText, text.replace('mock-explicit', '*'.repeat(13)));
+});
+
+test('a span seen by two overlapping chunks is reported once', async () => {
+  const text = 'Opening words go. Then mock-explicit. And the text goes on and on.';
+  const result = await analyzeText(text);
+  
+  const sawMarker = mockProvider.calls.filter(call => call.input.includes('mock-explicit'));
+  assert.ok(sawMarker.length > 1, 'the marker should fall in the overlap');
+  assert.deepStrictEqual(spanTexts(text, result.spans), ['mock-explicit']);
+});
+
+test('clean text is not flagged', async () => {
+  const text = 'Nothing to see here. Just some calm words. And a few more of them.';
+  const result = await analyzeText(text);
+  
+  assert.strictEqual(result.containsExplicitContent, false);
+  assert.deepStrictEqual(result.spans, []);
+  assert.strictEqual(result.filteredText, text);
+});
+
+test('lexicon fallbacks after a provider failure are not cached', async () => {
+  const { textCache } = require('../result_cache');
+  const originalGet = textCache.get;
+  const originalSet = textCache.set;
+  const stored = [];
+  textCache.get = async () => undefined;
+  textCache.set = (key, value) => stored.push(value);
+  
+  setProvider({ name: 'failing', analyzeText: async () => { throw new Error('provider unavailable'); } });
+  try {
+    const fallback = await analyzeText('Nothing explicit in here.');
+    assert.strictEqual(fallback.source, 'fallback');
+    assert.strictEqual(stored.length, 0);
+    
+    setProvider(mockProvider);
+    const verdict = await analyzeText('Nothing explicit in here.');
+    assert.strictEqual(verdict.source, 'model');
+    assert.strictEqual(stored.length, 1);
+  } finally {
+    setProvider(mockProvider);
+    textCache.get = originalGet;
+    textCache.set = originalSet;
+  }
+});
+
+test('reported words only match whole words, combining marks included', async () => {
+  setProvider({
+    name: 'reporting',
+    analyzeText: async text => ({
+      containsExplicitContent: true,
+      categories: ['hate'],
+      explicitWords: ['गध'],
+      severity: 'medium',
+      filteredText: `[${text}]`
+    })
+  });
+  
+  try {
+    const partOfWord = await analyzeText('वह गधा है');
+    assert.deepStrictEqual(partOfWord.spans, []);
+    assert.strictEqual(partOfWord.filteredText, 'वह गधा है');
+    
+    const wholeWord = await analyzeText('वह गध है');
+    assert.deepStrictEqual(spanTexts('वह गध है', wholeWord.spans), ['गध']);
+  } finally {
+    setProvider(mockProvider);
+  }
+});
@@ -0,0 +1,99 @@
+// Splitting of long texts into overlapping chunks for the moderation provider
+//
+// The model echoes the text back as filteredText, so a chunk has to fit in
+// the output token budget; keep TEXT_CHUNK_MAX_TOKENS well below
+// MAX_OUTPUT_TOKENS. Chunks end at sentence boundaries where possible
+// and repeat the last sentences of the previous chunk, so content spanning a
+// boundary is still seen whole by one of them.
+require('dotenv').config();
+
+// Rough number of characters per token for budgeting; models differ
+const CHARS_PER_TOKEN = 4;
+
+const TEXT_CHUNK_MAX_TOKENS = parseInt(process.env.TEXT_CHUNK_MAX_TOKENS || '150');
+const TEXT_CHUNK_OVERLAP_TOKENS = parseInt(process.env.TEXT_CHUNK_OVERLAP_TOKENS || '25');
+
+const sentenceSegmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+
+/**
+ * Split a range of text that is too long for one chunk at whitespace, or
+ * anywhere when it has none
+ * @param {string} text - The full text
+ * @param {number} start - Start of the range
+ * @param {number} end - End of the range
+ * @param {number} maxChars - Longest piece allowed
+ * @returns {Array<{start: number, end: number}>} - The pieces, in order
+ */
+function splitLongRange(text, start, end, maxChars) {
+  const pieces = [];
+  let pieceStart = start;
+  
+  while (end - pieceStart > maxChars) {
+    let pieceEnd = text.lastIndexOf(' ', pieceStart + maxChars);
+    if (pieceEnd <= pieceStart) {
+      pieceEnd = pieceStart + maxChars;
+    }
+    pieces.push({ start: pieceStart, end: pieceEnd });
+    pieceStart = pieceEnd;
+  }
+  
+  pieces.push({ start: pieceStart, end });
+  return pieces;
+}
+
+/**
+ * Split text into overlapping chunks at sentence boundaries
+ * @param {string} text - The text to split
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Largest chunk, in estimated tokens
+ * @param {number} [options.overlapTokens] - Text repeated from the previous chunk, in estimated tokens
+ * @returns {Array<{text: string, start: number}>} - Chunks with their offset in the text
+ */
+function splitIntoChunks(text, {
+  maxTokens = TEXT_CHUNK_MAX_TOKENS,
+  overlapTokens = TEXT_CHUNK_OVERLAP_TOKENS
+} = {}) {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  const overlapChars = Math.max(0, overlapTokens * CHARS_PER_TOKEN);
+  
+  if (text.length <= maxChars) {
+    return [{ text, start: 0 }];
+  }
+  
+  // Sentences, with any that are too long on their own split further
+  const pieces = [];
+  for (const { index, segment } of sentenceSegmenter.segment(text)) {
+    pieces.push(...splitLongRange(text, index, index + segment.length, maxChars));
+  }
+  
+  const chunks = [];
+  let first = 0;
+  while (first < pieces.length) {
+    // Take as many whole pieces as fit
+    const start = pieces[first].start;
+    let last = first;
+    while (last + 1 < pieces.length && pieces[last + 1].end - start <= maxChars) {
+      last++;
+    }
+    
+    const end = pieces[last].end;
+    chunks.push({ text: text.slice(start, end), start });
+    
+    if (last === pieces.length - 1) {
+      break;
+    }
+    
+    // Start the next chunk with the trailing pieces that fit in the overlap
+    let next = last + 1;
+    while (next - 1 > first && end - pieces[next - 1].start <= overlapChars) {
+      next--;
+    }
+    first = next;
+  }
+  
+  return chunks;
+}
+
+module.exports = {
+  splitIntoChunks
+};
@@ -1,51 +1,48 @@
 require('dotenv').config();
-const { VertexAI } = require('@google-cloud/vertexai');
+const { getProvider } = require('./providers');
+const { resolveProfile, meetsSeverity } = require('./sensitivity');
+const { createCacheKey, textCache } = require('./result_cache');
+const { UNSPACED_SCRIPT, getLexicon, maskMatches } = require('./lexicon');
+const { detectLanguage } = require('./language');
+const { splitIntoChunks } = require('./text_chunking');
 
-// Initialize Vertex AI with project and location
-const projectId = process.env.PROJECT_ID;
-const location = process.env.LOCATION;
-const modelName = process.env.TEXT_MODEL_NAME || 'text-bison';
+const TEXT_CHUNK_CONCURRENCY = parseInt(process.env.TEXT_CHUNK_CONCURRENCY || '4');
 
-// Initialize Vertex AI
-const vertexAI = new VertexAI({
-  project: projectId,
-  location: location,
-});
-
-// Get the text model
-const generativeModel = vertexAI.preview.getGenerativeModel({
-  model: modelName,
-  generation_config: {
-    max_output_tokens: parseInt(process.env.MAX_OUTPUT_TOKENS || '256'),
-    temperature: parseFloat(process.env.TEMPERATURE || '0'),
-    top_p: parseFloat(process.env.TOP_P || '0.8'),
-    top_k: parseInt(process.env.TOP_K || '40'),
-  },
-});
-
-// Create a list of common explicit words to check against
-const explicitWords = [
-  'explicit1', 'explicit2', 'explicit3', 'explicit4', 'explicit5',
-  // Add more explicit words here
-];
 
 /**
- * Analyze text content using both predefined list and Vertex AI
+ * Analyze text content using both the lexicon and the moderation provider,
+ * in the language detected for the text
  * @param {string} text - The text content to analyze
- * @returns {Object} - The analysis result
+ * @param {Object} profile - The threshold profile to apply
+ * @returns {Object} - The analysis result, including the detected language
  */
-async function analyzeText(text) {
+async function analyzeText(text, profile = resolveProfile()) {
   try {
-    // First check with predefined list for performance
-    const quickResult = analyzeWithPredefinedList(text);
+    // Reuse an earlier verdict for the same text and profile. The raw text is
+    // the key because spans are offsets into it; NFC and NFD forms differ.
+    const cacheKey = createCacheKey('text', text, profile);
+    const cachedResult = await textCache.get(cacheKey);
+    if (cachedResult) {
+      return cachedResult;
+    }
     
-    // If already found explicit content, return the result
-    if (quickResult.containsExplicitContent) {
-      return quickResult;
+    const language = detectLanguage(text);
+    
+    // First check with the lexicon for performance
+    let result = analyzeWithLexicon(text, profile, language);
+    
+    // Otherwise, analyze with the moderation provider
+    if (!result.containsExplicitContent) {
+      result = await analyzeWithProvider(text, profile, language);
     }
     
-    // Otherwise, analyze with Vertex AI
-    return await analyzeWithVertexAI(text);
+    result = { ...result, language };
+    
+    // A lexicon-only fallback after a provider failure is not a verdict to keep
+    if (result.source !== 'fallback') {
+      textCache.set(cacheKey, result);
+    }
+    return result;
   } catch (error) {
     console.error('Error analyzing text:', error);
     throw error;
@@ -53,98 +50,233 @@ async function analyzeText(text) {
 }
 
 /**
- * Analyze text with predefined list of explicit words
+ * Analyze text with the lexicon of explicit words
  * @param {string} text - The text content to analyze
+ * @param {Object} profile - The threshold profile to apply
+ * @param {string} language - The language code of the text
+ * @param {string} [source] - What to report as the source of the verdict
  * @returns {Object} - The analysis result
  */
-function analyzeWithPredefinedList(text) {
-  const lowerText = text.toLowerCase();
-  const foundWords = [];
-  let filteredText = text;
-  
-  explicitWords.forEach(word => {
-    const regex = new RegExp(`\\b${word}\\b`, 'gi');
-    if (regex.test(lowerText)) {
-      foundWords.push(word);
-      filteredText = filteredText.replace(regex, match => '*'.repeat(match.length));
-    }
-  });
+function analyzeWithLexicon(text, profile, language, source = 'lexicon') {
+  // Only keep matches whose category severity meets the cut-off
+  const matches = getLexicon(language).findMatches(text)
+    .filter(match => meetsSeverity(match.severity, profile.text));
+  const foundWords = [...new Set(matches.map(match => match.word))];
+  const categories = [...new Set(matches.map(match => match.category))];
   
   return {
-    containsExplicitContent: foundWords.length > 0,
+    containsExplicitContent: matches.length > 0,
     foundExplicitWords: foundWords,
-    filteredText: filteredText,
-    originalText: text
+    categories: categories,
+    spans: matches.map(({ start, end, category }) => ({ start, end, category })),
+    filteredText: maskMatches(text, matches),
+    originalText: text,
+    source: source
   };
 }
 
 /**
- * Analyze text content with Vertex AI
+ * Send each chunk to the moderation provider, keeping at most
+ * TEXT_CHUNK_CONCURRENCY requests in flight
+ * @param {Array<{text: string, start: number}>} chunks - The chunks to analyze
+ * @param {string} language - The language code of the text
+ * @returns {Promise<Array<{chunk: Object, analysis: Object}>>} - The analyses, in chunk order
+ */
+async function analyzeChunks(chunks, language) {
+  const analyses = new Array(chunks.length);
+  let nextIndex = 0;
+  
+  async function worker() {
+    while (nextIndex < chunks.length) {
+      const index = nextIndex++;
+      analyses[index] = {
+        chunk: chunks[index],
+        analysis: await getProvider().analyzeText(chunks[index].text, { language })
+      };
+    }
+  }
+  
+  const workerCount = Math.max(1, Math.min(TEXT_CHUNK_CONCURRENCY, chunks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  
+  return analyses;
+}
+
+/**
+ * Analyze text content with the configured moderation provider. Long texts
+ * are analyzed in overlapping chunks whose spans are mapped back onto the
+ * whole text. The result's source is 'model' when the provider's verdict was
+ * used and 'fallback' when the provider failed and the lexicon answered instead.
  * @param {string} text - The text content to analyze
+ * @param {Object} profile - The threshold profile to apply
+ * @param {string} language - The language code of the text
  * @returns {Object} - The analysis result
  */
-async function analyzeWithVertexAI(text) {
+async function analyzeWithProvider(text, profile, language) {
   try {
-    // Create a prompt for content moderation
-    const prompt = `
-      Task: Analyze the following text and identify any explicit, offensive, 
-      or inappropriate content. Focus on detecting profanity, sexual content, 
-      hate speech, violence, or other potentially harmful content.
+    const analyses = await analyzeChunks(splitIntoChunks(text), language);
+    
+    // Keep the chunks with explicit content at or above the severity cut-off
+    const flagged = analyses.filter(({ analysis }) => (
+      analysis.containsExplicitContent && meetsSeverity(analysis.severity || 'medium', profile.text)
+    ));
+    
+    if (flagged.length > 0) {
+      const spans = mergeSpans(flagged.flatMap(({ chunk, analysis }) => {
+        const categories = analysis.categories || [];
+        return findFlaggedSpans(chunk.text, analysis.filteredText || chunk.text, analysis.explicitWords || [])
+          .map(span => ({
+            start: span.start + chunk.start,
+            end: span.end + chunk.start,
+            category: categories[0] || null
+          }));
+      }));
       
-      Text to analyze: "${text}"
+      // The most severe chunk decides the overall severity
+      const severity = flagged
+        .map(({ analysis }) => analysis.severity || 'medium')
+        .reduce((current, next) => (meetsSeverity(next, current) ? next : current));
       
-      Respond with a JSON object in the following format:
-      {
-        "containsExplicitContent": true/false,
-        "categories": ["list", "of", "detected", "categories"],
-        "explicitWords": ["list", "of", "explicit", "words", "found"],
-        "severity": "low/medium/high",
-        "filteredText": "text with explicit words replaced by asterisks"
-      }
-      
-      Only return the JSON object, nothing else.
-    `;
+      return {
+        containsExplicitContent: true,
+        foundExplicitWords: [...new Set(flagged.flatMap(({ analysis }) => analysis.explicitWords || []))],
+        categories: [...new Set(flagged.flatMap(({ analysis }) => analysis.categories || []))],
+        severity: severity,
+        spans: spans,
+        filteredText: maskMatches(text, spans),
+        originalText: text,
+        source: 'model'
+      };
+    }
+    
+    // If no explicit content was found
+    return {
+      containsExplicitContent: false,
+      foundExplicitWords: [],
+      spans: [],
+      filteredText: text,
+      originalText: text,
+      source: 'model'
+    };
+  } catch (error) {
+    console.error('Error calling moderation provider:', error);
+    // Fallback to basic analysis if the provider call or response parsing fails
+    return analyzeWithLexicon(text, profile, language, 'fallback');
+  }
+}
 
-    // Generate content
-    const result = await generativeModel.generateContent(prompt);
-    const response = await result.response;
-    const responseText = response.candidates[0].content.parts[0].text;
+/**
+ * Work out which character ranges of the text a provider flagged
+ * @param {string} text - The original text
+ * @param {string} filteredText - The text with explicit content masked
+ * @param {Array<string>} words - The explicit words the provider reported
+ * @returns {Array<{start: number, end: number}>} - Sorted, non-overlapping spans
+ */
+function findFlaggedSpans(text, filteredText, words) {
+  const spans = [];
+  
+  // When the length is unchanged, masked characters line up with the original
+  if (filteredText.length === text.length) {
+    let start = -1;
+    for (let i = 0; i <= text.length; i++) {
+      const isMasked = i < text.length && filteredText[i] === '*' && text[i] !== '*';
+      if (isMasked && start === -1) {
+        start = i;
+      } else if (!isMasked && start !== -1) {
+        spans.push({ start, end: i });
+        start = -1;
+      }
+    }
     
-    try {
-      // Parse the response as JSON
-      const aiAnalysis = JSON.parse(responseText);
+    if (spans.length > 0) {
+      return spans;
+    }
+  }
+  
+  // Otherwise locate every occurrence of each reported word
+  words.filter(word => typeof word === 'string' && word.trim()).forEach(word => {
+    const trimmed = word.trim();
+    const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Words in unspaced scripts have no letters around them to check
+    const before = UNSPACED_SCRIPT.test(trimmed[0]) ? '' : '(?<![\\p{L}\\p{M}\\p{N}])';
+    const after = UNSPACED_SCRIPT.test(trimmed[trimmed.length - 1]) ? '' : '(?![\\p{L}\\p{M}\\p{N}])';
+    const regex = new RegExp(`${before}${escaped}${after}`, 'giu');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      spans.push({ start: match.index, end: match.index + match[0].length });
+    }
+  });
+  
+  return mergeSpans(spans);
+}
+
+/**
+ * Sort spans and merge the ones that overlap, keeping the first span's fields
+ * @param {Array<{start: number, end: number}>} spans - The spans to merge
+ * @returns {Array<{start: number, end: number}>} - Sorted, non-overlapping spans
+ */
+function mergeSpans(spans) {
+  return [...spans]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, span) => {
+      const last = merged[merged.length - 1];
+      if (last && span.start <= last.end) {
+        last.end = Math.max(last.end, span.end);
+      } else {
+        merged.push({ ...span });
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * Analyze a batch of text items, analyzing each distinct text only once
+ * and keeping at most `concurrency` analyses in flight at a time
+ * @param {Array<{id: string, text: string}>} items - The text items to analyze
+ * @param {number} concurrency - Maximum number of parallel analyses
+ * @param {Object} profile - The threshold profile to apply
+ * @returns {Object} - The analysis results keyed by item id
+ */
+async function analyzeTextBatch(items, concurrency = 5, profile = resolveProfile()) {
+  // Group item ids by text so duplicate strings are analyzed once
+  const idsByText = new Map();
+  items.forEach(({ id, text }) => {
+    if (!idsByText.has(text)) {
+      idsByText.set(text, []);
+    }
+    idsByText.get(text).push(id);
+  });
+  
+  const uniqueTexts = Array.from(idsByText.keys());
+  // No prototype, so ids such as "__proto__" are stored like any other
+  const results = Object.create(null);
+  let nextIndex = 0;
+  
+  // Each worker pulls the next unanalyzed text until none are left
+  async function worker() {
+    while (nextIndex < uniqueTexts.length) {
+      const text = uniqueTexts[nextIndex++];
+      let result;
       
-      // If explicit content was found, return the filtered text
-      if (aiAnalysis.containsExplicitContent) {
-        return {
-          containsExplicitContent: true,
-          foundExplicitWords: aiAnalysis.explicitWords || [],
-          categories: aiAnalysis.categories || [],
-          severity: aiAnalysis.severity || 'medium',
-          filteredText: aiAnalysis.filteredText || text.replace(/\b(bad|words)\b/gi, match => '*'.repeat(match.length)),
-          originalText: text
-        };
+      try {
+        result = await analyzeText(text, profile);
+      } catch (error) {
+        result = { error: 'Failed to analyze text content' };
       }
       
-      // If no explicit content was found
-      return {
-        containsExplicitContent: false,
-        foundExplicitWords: [],
-        filteredText: text,
-        originalText: text
-      };
-    } catch (parseError) {
-      console.error('Error parsing AI response:', parseError);
-      // Fallback to basic analysis if AI response parsing fails
-      return analyzeWithPredefinedList(text);
+      idsByText.get(text).forEach(id => {
+        results[id] = result;
+      });
     }
-  } catch (error) {
-    console.error('Error calling Vertex AI:', error);
-    // Fallback to basic analysis if AI call fails
-    return analyzeWithPredefinedList(text);
   }
+  
+  const workerCount = Math.max(1, Math.min(concurrency, uniqueTexts.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  
+  return results;
 }
 
 module.exports = {
-  analyzeText
+  analyzeText,
+  analyzeTextBatch
 };
\ No newline at end of file
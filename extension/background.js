@@ -1,5 +1,13 @@
 // Background script for Socio.io extension
 
+importScripts('config.js', 'messages.js');
+
+// Session storage key for the tabs where filtering is paused
+const PAUSED_TABS_KEY = 'socio_io_paused_tabs';
+
+// Session storage key for the frames running the content script in each tab
+const TAB_FRAMES_KEY = 'socio_io_tab_frames';
+
 // Initialize statistics on installation
 chrome.runtime.onInstalled.addListener(() => {
   const defaultStats = {
@@ -10,13 +18,7 @@ chrome.runtime.onInstalled.addListener(() => {
   };
 
   const defaultHistory = {};
-  const defaultSettings = window.SocioConfig?.DEFAULT_SETTINGS || {
-    enableTextFiltering: true,
-    enableImageFiltering: true,
-    enableStatistics: true,
-    autoBlurImages: true,
-    sensitivityLevel: 'medium'
-  };
+  const defaultSettings = self.SocioConfig.DEFAULT_SETTINGS;
 
   // Initialize storage with default values
   chrome.storage.local.set({
@@ -26,6 +28,198 @@ chrome.runtime.onInstalled.addListener(() => {
   });
 });
 
+// Verdict cache settings
+const VERDICT_CACHE_KEY = 'socio_io_verdicts';
+const VERDICT_CACHE_VERSION = 3;
+const VERDICT_CACHE_MAX_ENTRIES = 5000;
+const VERDICT_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// In-memory copy of the verdict cache, loaded from storage on first use so
+// that lookups arriving together share one load
+let verdictCache = null;
+let verdictCachePromise = null;
+let verdictCacheSaveTimer = null;
+
+// Load the verdict cache, discarding it if it was written by another version
+function loadVerdictCache() {
+  if (!verdictCachePromise) {
+    const loading = new Promise((resolve) => {
+      chrome.storage.local.get([VERDICT_CACHE_KEY], (result) => {
+        // A clear that happened during the load wins over the stored entries
+        if (verdictCachePromise === loading) {
+          const stored = result[VERDICT_CACHE_KEY];
+          verdictCache = stored && stored.version === VERDICT_CACHE_VERSION ? stored.entries : {};
+        }
+        resolve(verdictCache);
+      });
+    });
+    verdictCachePromise = loading;
+  }
+  return verdictCachePromise;
+}
+
+// Persist the verdict cache, batching writes that happen close together
+function saveVerdictCache() {
+  clearTimeout(verdictCacheSaveTimer);
+  verdictCacheSaveTimer = setTimeout(() => {
+    chrome.storage.local.set({
+      [VERDICT_CACHE_KEY]: { version: VERDICT_CACHE_VERSION, entries: verdictCache }
+    });
+  }, 1000);
+}
+
+// Drop every cached verdict
+function clearVerdictCache() {
+  clearTimeout(verdictCacheSaveTimer);
+  verdictCache = {};
+  verdictCachePromise = Promise.resolve(verdictCache);
+  chrome.storage.local.set({
+    [VERDICT_CACHE_KEY]: { version: VERDICT_CACHE_VERSION, entries: {} }
+  });
+}
+
+// Verdicts depend on the settings, so start over whenever they change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.socio_io_settings) {
+    clearVerdictCache();
+  }
+});
+
+// Frame registry, loaded from session storage on first use so that
+// registrations arriving together do not overwrite each other
+let tabFramesPromise = null;
+
+// Load the frames registered for each tab
+function loadTabFrames() {
+  if (!tabFramesPromise) {
+    tabFramesPromise = new Promise((resolve) => {
+      chrome.storage.session.get([TAB_FRAMES_KEY], (result) => {
+        resolve(result[TAB_FRAMES_KEY] || {});
+      });
+    });
+  }
+  return tabFramesPromise;
+}
+
+// Add or remove a frame of a tab
+async function updateTabFrames(tabId, frameId, isRegistered) {
+  const tabFrames = await loadTabFrames();
+  const frames = new Set(tabFrames[tabId] || []);
+  
+  if (isRegistered) {
+    frames.add(frameId);
+  } else {
+    frames.delete(frameId);
+  }
+  
+  if (frames.size > 0) {
+    tabFrames[tabId] = Array.from(frames);
+  } else {
+    delete tabFrames[tabId];
+  }
+  
+  chrome.storage.session.set({ [TAB_FRAMES_KEY]: tabFrames });
+}
+
+// Send a tab action to one frame, forgetting frames that are gone
+function sendToFrame(tabId, frameId, message) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, { frameId }, (response) => {
+      if (chrome.runtime.lastError) {
+        updateTabFrames(tabId, frameId, false);
+        resolve(null);
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+// Combine the answers of every frame into one tab action response
+function mergeFrameResponses(action, responses) {
+  const { TAB_ACTIONS } = self.SocioMessages;
+  const answered = responses.filter(({ response }) => response);
+  
+  if (answered.length === 0) {
+    return null;
+  }
+  
+  const merged = { success: answered.some(({ response }) => response.success) };
+  const sum = (getValue) => answered.reduce((total, { response }) => total + (getValue(response) || 0), 0);
+  
+  if (action === TAB_ACTIONS.RECOVER_CONTENT) {
+    merged.recovered = {
+      text: sum(response => response.recovered?.text),
+      images: sum(response => response.recovered?.images)
+    };
+  } else if (action === TAB_ACTIONS.RECOVER_ITEM) {
+    const recovered = answered.find(({ response }) => response.success);
+    if (recovered) {
+      merged.type = recovered.response.type;
+    }
+  } else if (action === TAB_ACTIONS.PAUSE_FILTERING) {
+    merged.paused = answered.some(({ response }) => response.paused);
+  } else if (action === TAB_ACTIONS.GET_PAGE_STATS) {
+    merged.paused = answered.some(({ response }) => response.paused);
+    merged.apiKeyRejected = answered.some(({ response }) => response.apiKeyRejected);
+    merged.stats = {
+      textFiltered: sum(response => response.stats?.textFiltered),
+      imagesFiltered: sum(response => response.stats?.imagesFiltered)
+    };
+    merged.items = answered.flatMap(({ frameId, response }) => (
+      (response.items || []).map(item => ({ ...item, frameId }))
+    ));
+  }
+  
+  return merged;
+}
+
+// Forget the paused state and frames of closed tabs
+chrome.tabs.onRemoved.addListener((tabId) => {
+  loadTabFrames().then((tabFrames) => {
+    if (tabFrames[tabId]) {
+      delete tabFrames[tabId];
+      chrome.storage.session.set({ [TAB_FRAMES_KEY]: tabFrames });
+    }
+  });
+  
+  chrome.storage.session.get([PAUSED_TABS_KEY], (result) => {
+    const pausedTabs = result[PAUSED_TABS_KEY] || {};
+    if (pausedTabs[tabId]) {
+      delete pausedTabs[tabId];
+      chrome.storage.session.set({ [PAUSED_TABS_KEY]: pausedTabs });
+    }
+  });
+});
+
+// Fetch an image and downscale it to a JPEG data URL
+async function fetchImageData(url, maxDimension, quality) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Image request failed with status ${response.status}`);
+  }
+  
+  const bitmap = await createImageBitmap(await response.blob());
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const canvas = new OffscreenCanvas(
+    Math.max(1, Math.round(bitmap.width * scale)),
+    Math.max(1, Math.round(bitmap.height * scale))
+  );
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  
+  const jpeg = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+  const bytes = new Uint8Array(await jpeg.arrayBuffer());
+  
+  // Encode in chunks to stay under the argument limit of fromCharCode
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  
+  return `data:image/jpeg;base64,${btoa(binary)}`;
+}
+
 // Connection check functionality
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Handle connection check message
@@ -54,6 +248,132 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Indicates async response
   }
   
+  // Handle verdict cache lookup message
+  if (message.action === 'getCachedVerdicts') {
+    loadVerdictCache().then((cache) => {
+      const now = Date.now();
+      const verdicts = {};
+      
+      (message.keys || []).forEach((key) => {
+        const entry = cache[key];
+        if (entry && now - entry.timestamp < VERDICT_CACHE_TTL_MS) {
+          verdicts[key] = entry.verdict;
+        }
+      });
+      
+      sendResponse({ success: true, verdicts });
+    });
+    
+    return true; // Indicates async response
+  }
+  
+  // Handle verdict cache store message
+  if (message.action === 'cacheVerdicts') {
+    loadVerdictCache().then((cache) => {
+      const now = Date.now();
+      
+      Object.entries(message.verdicts || {}).forEach(([key, verdict]) => {
+        cache[key] = { verdict, timestamp: now };
+      });
+      
+      // Keep only the most recent entries
+      const keys = Object.keys(cache);
+      if (keys.length > VERDICT_CACHE_MAX_ENTRIES) {
+        keys
+          .sort((a, b) => cache[a].timestamp - cache[b].timestamp)
+          .slice(0, keys.length - VERDICT_CACHE_MAX_ENTRIES)
+          .forEach((key) => delete cache[key]);
+      }
+      
+      saveVerdictCache();
+      sendResponse({ success: true });
+    });
+    
+    return true; // Indicates async response
+  }
+  
+  // Handle tab pause message from a content script
+  if (message.action === self.SocioMessages.BACKGROUND_ACTIONS.SET_TAB_PAUSED) {
+    const tabId = sender.tab?.id;
+    
+    if (tabId === undefined) {
+      sendResponse({ success: false, paused: false });
+      return true;
+    }
+    
+    chrome.storage.session.get([PAUSED_TABS_KEY], (result) => {
+      const pausedTabs = result[PAUSED_TABS_KEY] || {};
+      
+      if (message.paused) {
+        pausedTabs[tabId] = true;
+      } else {
+        delete pausedTabs[tabId];
+      }
+      
+      chrome.storage.session.set({ [PAUSED_TABS_KEY]: pausedTabs });
+      sendResponse({ success: true, paused: Boolean(message.paused) });
+    });
+    
+    return true; // Indicates async response
+  }
+  
+  // Handle tab state lookup message from a content script
+  if (message.action === self.SocioMessages.BACKGROUND_ACTIONS.GET_TAB_STATE) {
+    const tabId = sender.tab?.id;
+    
+    chrome.storage.session.get([PAUSED_TABS_KEY], (result) => {
+      const pausedTabs = result[PAUSED_TABS_KEY] || {};
+      sendResponse({ success: true, paused: Boolean(pausedTabs[tabId]) });
+    });
+    
+    return true; // Indicates async response
+  }
+  
+  // Handle frame registration from a content script
+  if (message.action === self.SocioMessages.BACKGROUND_ACTIONS.REGISTER_FRAME) {
+    const tabId = sender.tab?.id;
+    
+    if (tabId === undefined) {
+      sendResponse({ success: false });
+      return true;
+    }
+    
+    updateTabFrames(tabId, sender.frameId || 0, true).then(() => sendResponse({ success: true }));
+    return true; // Indicates async response
+  }
+  
+  // Forward a tab action to the frames of a tab and merge their answers
+  if (message.action === self.SocioMessages.BACKGROUND_ACTIONS.SEND_TO_FRAMES) {
+    const tabId = message.tabId ?? sender.tab?.id;
+    
+    loadTabFrames().then(async (tabFrames) => {
+      // Fall back to the top frame when nothing has registered
+      let frameIds = tabFrames[tabId] || [0];
+      if (message.frameId !== undefined) {
+        frameIds = [message.frameId];
+      }
+      
+      const responses = await Promise.all(frameIds.map(async frameId => ({
+        frameId,
+        response: await sendToFrame(tabId, frameId, message.message)
+      })));
+      
+      sendResponse(mergeFrameResponses(message.message.action, responses));
+    });
+    
+    return true; // Indicates async response
+  }
+  
+  // Fetch an image with the user's cookies for a content script that
+  // cannot read it from the page
+  if (message.action === self.SocioMessages.BACKGROUND_ACTIONS.FETCH_IMAGE_DATA) {
+    fetchImageData(message.url, message.maxDimension, message.quality)
+      .then(imageBase64 => sendResponse({ success: true, imageBase64 }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true; // Indicates async response
+  }
+  
   // Handle statistics update message
   if (message.action === 'updateStats') {
     chrome.storage.local.get(['socio_io_stats'], function(result) {
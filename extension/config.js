@@ -3,11 +3,21 @@
 // Backend API URL - update this after deploying to Render
 const BACKEND_API_URL = 'https://socio-io-backend.onrender.com';
 
+// Maximum number of text items sent in one batch request
+const TEXT_BATCH_SIZE = 50;
+
+// Images the backend cannot fetch are captured in the browser, downscaled
+// so their longest side is at most this many pixels, and sent as JPEG
+const IMAGE_CAPTURE_MAX_DIMENSION = 512;
+const IMAGE_CAPTURE_QUALITY = 0.85;
+
 // Storage keys
 const STORAGE_KEYS = {
   STATS: 'socio_io_stats',
   HISTORY: 'socio_io_history',
-  SETTINGS: 'socio_io_settings'
+  SETTINGS: 'socio_io_settings',
+  SITE_RULES: 'socio_io_site_rules',
+  VERDICTS: 'socio_io_verdicts'
 };
 
 // Default settings
@@ -15,8 +25,26 @@ const DEFAULT_SETTINGS = {
   enableTextFiltering: true,
   enableImageFiltering: true,
   enableStatistics: true,
-  autoBlurImages: true,
-  sensitivityLevel: 'medium' // 'low', 'medium', 'high'
+  autoBlurImages: true, // Blur images until they are checked, instead of showing them
+  strictMode: false, // Cover content from page start until it is checked
+  strictModeText: false, // Also cover text blocks in strict mode
+  sensitivityLevel: 'medium', // 'low', 'medium', 'high'
+  videoFrameInterval: 5, // Seconds between sampled video frames, 0 to turn off
+  textFilterModes: { // 'mask', 'blur', 'hide' or 'warn' for text in each category; 'other' covers the rest
+    profanity: 'mask',
+    sexual: 'mask',
+    violence: 'mask',
+    hate: 'mask',
+    other: 'mask'
+  },
+  imageCategoryActions: { // 'blur', 'warn' or 'allow' for images flagged in each category
+    adult: 'blur',
+    racy: 'warn',
+    violence: 'blur',
+    medical: 'blur',
+    spoof: 'blur'
+  },
+  apiKey: '' // Key issued for this installation or team
 };
 
 // Filter categories
@@ -25,9 +53,13 @@ const FILTER_CATEGORIES = {
   IMAGE: 'image'
 };
 
-// Export configuration
-window.SocioConfig = {
+// Export configuration; self is the window in pages and content scripts
+// and the global scope in the service worker
+self.SocioConfig = {
   BACKEND_API_URL,
+  TEXT_BATCH_SIZE,
+  IMAGE_CAPTURE_MAX_DIMENSION,
+  IMAGE_CAPTURE_QUALITY,
   STORAGE_KEYS,
   DEFAULT_SETTINGS,
   FILTER_CATEGORIES
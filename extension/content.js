@@ -6,13 +6,7 @@ if (!window.SocioConfig) {
 }
 
 // Initialize variables
-let settings = window.SocioConfig?.DEFAULT_SETTINGS || {
-  enableTextFiltering: true,
-  enableImageFiltering: true,
-  enableStatistics: true,
-  autoBlurImages: true,
-  sensitivityLevel: 'medium'
-};
+let settings = window.SocioConfig.DEFAULT_SETTINGS;
 
 // Statistics tracking
 let sessionStats = {
@@ -26,12 +20,99 @@ let filteredElements = {
   images: new Map()
 };
 
-// Load settings
+// Whether filtering is paused on this tab
+let isPaused = false;
+
+// Time until which the backend asked for no more requests
+let backendRetryAt = 0;
+
+// Whether the backend refused the API key; nothing is sent until it changes
+let isApiKeyRejected = false;
+
+// Image URLs the backend could not fetch, sent as captured pixels instead
+const unfetchableImageSources = new Set();
+
+// Work held back by the backend's rate limit, by the element it is for
+let backendRetryQueue = new Map();
+let backendRetryTimer = null;
+
+// Whether the page has been processed and is being observed
+let isStarted = false;
+
+// Sensitivity levels from least to most strict
+const SENSITIVITY_ORDER = ['low', 'medium', 'high'];
+
+// Text nodes already analyzed, mapped to the text they held at the time
+let processedTextNodes = new WeakMap();
+
+// Text nodes waiting on a batch response
+const pendingTextNodes = new WeakSet();
+
+// Image elements currently being analyzed
+const pendingImages = new WeakSet();
+
+// Open shadow roots found so far; each is scanned and observed like the page
+const shadowRoots = new Set();
+
+// Observer for content added to the page and its shadow roots
+let pageObserver = null;
+const PAGE_OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ['src', 'srcset']
+};
+
+// Every frame runs its own copy of this script; page-wide UI only belongs
+// in the top frame
+const isTopFrame = window === window.top;
+
+// Source each image was judged safe for, to notice lazy loaders swapping it
+const judgedImageSources = new WeakMap();
+
+// Images are checked when they come within 200px of the viewport
+const imageVisibilityObserver = new IntersectionObserver((entries) => {
+  handleImagesNearViewport(entries);
+}, { rootMargin: '200px' });
+
+// Videos with frame sampling listeners, their pending sample timers, frames
+// awaiting a verdict, and videos the user chose to see despite a flagged frame
+const watchedVideos = new WeakSet();
+const videoSamplingTimers = new Map();
+const pendingVideoFrames = new WeakSet();
+let recoveredVideos = new WeakSet();
+
+// Elements whose text is never scanned
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'textarea', 'input',
+  'select', 'option', 'iframe', 'svg', 'canvas', 'code', 'pre'
+]);
+
+// Elements whose subtrees never display images
+const IMAGE_SKIPPED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template']);
+
+// Elements that start a new logical block of text
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd',
+  'details', 'dialog', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'li',
+  'main', 'nav', 'ol', 'p', 'section', 'summary', 'table', 'td', 'th', 'tr', 'ul'
+]);
+
+// Load settings, with the rule for this site applied on top
 function loadSettings() {
-  chrome.storage.local.get([window.SocioConfig.STORAGE_KEYS.SETTINGS], (result) => {
-    if (result[window.SocioConfig.STORAGE_KEYS.SETTINGS]) {
-      settings = result[window.SocioConfig.STORAGE_KEYS.SETTINGS];
-    }
+  const { SETTINGS, SITE_RULES } = window.SocioConfig.STORAGE_KEYS;
+  
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SETTINGS, SITE_RULES], (result) => {
+      if (result[SETTINGS]) {
+        settings = result[SETTINGS];
+      }
+      
+      const siteRule = window.SocioSiteRules.findSiteRule(result[SITE_RULES], window.location.hostname);
+      settings = window.SocioSiteRules.applySiteRule(settings, siteRule);
+      resolve(settings);
+    });
   });
 }
 
@@ -73,375 +154,1670 @@ function updateHistory(type, content, filteredContent) {
   });
 }
 
-// Filter text content
-async function filterTextContent(element) {
-  if (!settings.enableTextFiltering || !element || !element.textContent) {
-    return;
+// Send a JSON request to the backend API with the configured API key
+async function postToBackend(path, body) {
+  if (isApiKeyRejected) {
+    throw new Error('API key missing or invalid');
   }
   
-  const originalText = element.textContent.trim();
-  if (originalText.length < 3) {
-    return; // Skip very short text
+  // Hold off while the backend's rate limit or quota is in effect
+  if (Date.now() < backendRetryAt) {
+    throw new Error('Backend rate limit in effect');
   }
   
-  try {
-    // Call backend API to filter text
-    const response = await fetch(`${window.SocioConfig.BACKEND_API_URL}/api/filter-text`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ text: originalText })
-    });
-    
-    if (!response.ok) {
-      throw new Error('Text filtering request failed');
-    }
-    
-    const result = await response.json();
-    
-    // If explicit content found, replace it
-    if (result.containsExplicitContent) {
-      // Save original text for recovery
-      const elementId = 'socio-' + Math.random().toString(36).substr(2, 9);
-      element.setAttribute('data-socio-id', elementId);
-      filteredElements.text.set(elementId, {
-        element: element,
-        originalText: originalText
-      });
-      
-      // Replace the text
-      element.textContent = result.filteredText;
-      
-      // Add filtered class for styling
-      element.classList.add('socio-filtered-text');
-      
-      // Update statistics
-      updateStats(window.SocioConfig.FILTER_CATEGORIES.TEXT);
-      
-      // Update history
-      updateHistory(
-        window.SocioConfig.FILTER_CATEGORIES.TEXT,
-        originalText,
-        result.filteredText
-      );
-      
-      return true;
-    }
-  } catch (error) {
-    console.error('Socio.io text filtering error:', error);
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+  if (settings.apiKey) {
+    headers['X-API-Key'] = settings.apiKey;
   }
   
-  return false;
+  const response = await fetch(`${window.SocioConfig.BACKEND_API_URL}${path}`, {
+    method: 'POST',
+    headers: headers,
+    body: JSON.stringify(body)
+  });
+  
+  if (response.status === 401) {
+    rejectApiKey();
+  } else if (response.status === 429) {
+    const retryAfter = parseInt(response.headers.get('Retry-After') || '60');
+    backendRetryAt = Date.now() + retryAfter * 1000;
+  }
+  
+  return response;
 }
 
-// Filter image content
-async function filterImageContent(imgElement) {
-  if (!settings.enableImageFiltering || !imgElement || !imgElement.src) {
+// Stop using the backend until the API key setting changes. Nothing can be
+// checked meanwhile, so strict mode stops covering the page.
+function rejectApiKey() {
+  if (isApiKeyRejected) {
     return;
   }
   
-  // Skip images that are too small or already processed
-  if (imgElement.width < 50 || imgElement.height < 50 || 
-      imgElement.classList.contains('socio-filtered-image') ||
-      imgElement.classList.contains('socio-safe-image')) {
-    return;
+  isApiKeyRejected = true;
+  console.error('Socio.io: The API key is missing or invalid, check the extension settings');
+  backendRetryQueue.clear();
+  window.SocioStrictMode.releaseStrictMode();
+  revealPendingImages();
+}
+
+// Check whether the backend's rate limit or quota is in effect
+function isBackendRateLimited() {
+  return Date.now() < backendRetryAt;
+}
+
+// Run a task for an element again once the backend accepts requests
+function retryAfterRateLimit(element, task) {
+  backendRetryQueue.set(element, task);
+  scheduleBackendRetries();
+}
+
+// Wait for the backend's rate limit to lift before running the held back work
+function scheduleBackendRetries() {
+  if (!backendRetryTimer) {
+    backendRetryTimer = setTimeout(runBackendRetries, Math.max(backendRetryAt - Date.now(), 0));
+  }
+}
+
+// Run held back tasks one at a time, so a lifted limit is not used up at
+// once; tasks that are refused again go back in the queue
+async function runBackendRetries() {
+  while (backendRetryQueue.size > 0 && !isPaused && !isBackendRateLimited()) {
+    const [element, retry] = backendRetryQueue.entries().next().value;
+    backendRetryQueue.delete(element);
+    await retry();
   }
+  backendRetryTimer = null;
   
-  try {
-    // Call backend API to filter image
-    const response = await fetch(`${window.SocioConfig.BACKEND_API_URL}/api/filter-image`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ imageUrl: imgElement.src })
+  // Resuming filtering goes over the whole page anyway
+  if (isPaused) {
+    backendRetryQueue.clear();
+  } else if (backendRetryQueue.size > 0) {
+    scheduleBackendRetries();
+  }
+}
+
+// Hash text into a compact cache key (53-bit cyrb53)
+function hashText(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Look up verdicts in the background worker's persistent cache
+function getCachedVerdicts(keys) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({
+      action: 'getCachedVerdicts',
+      keys: keys
+    }, (response) => {
+      resolve(response?.verdicts || {});
     });
-    
-    if (!response.ok) {
-      throw new Error('Image filtering request failed');
-    }
-    
-    const result = await response.json();
-    
-    // If inappropriate content found, blur the image
-    if (result.isInappropriate) {
-      // Save original image for recovery
-      const elementId = 'socio-' + Math.random().toString(36).substr(2, 9);
-      imgElement.setAttribute('data-socio-id', elementId);
-      filteredElements.images.set(elementId, {
-        element: imgElement,
-        originalSrc: imgElement.src
-      });
+  });
+}
+
+// Store verdicts in the background worker's persistent cache
+function cacheVerdicts(verdicts) {
+  if (Object.keys(verdicts).length === 0) {
+    return;
+  }
+  
+  chrome.runtime.sendMessage({
+    action: 'cacheVerdicts',
+    verdicts: verdicts
+  });
+}
+
+// Look up how text flagged in a category is treated: mask, blur, hide or warn.
+// Categories without their own mode use the "other" mode.
+function getTextFilterMode(category) {
+  const modes = settings.textFilterModes || {};
+  return modes[category] || modes.other || 'mask';
+}
+
+// Wrap flagged character ranges of a block's trimmed text in mask spans.
+// Ranges with the blur mode keep their text and are blurred until clicked.
+function maskTextRanges(block, spans) {
+  // Offsets are relative to the trimmed text, so skip leading whitespace
+  const fullText = block.nodes.map(node => node.data).join('');
+  let offset = fullText.trimStart().length - fullText.length;
+  
+  // Record where each text node starts
+  const textNodes = block.nodes.map((node) => {
+    const entry = { node, start: offset };
+    offset += node.data.length;
+    return entry;
+  });
+  
+  const masks = [];
+  const remainders = [];
+  
+  // Work backwards so splitting a node never shifts a range still to be masked
+  [...spans].sort((a, b) => b.start - a.start).forEach((span) => {
+    for (let i = textNodes.length - 1; i >= 0; i--) {
+      const { node, start } = textNodes[i];
+      const from = Math.max(span.start - start, 0);
+      const to = Math.min(span.end - start, node.data.length);
       
-      // Create parent wrapper if it doesn't exist
-      let wrapper = imgElement.parentElement;
-      if (!wrapper.classList.contains('socio-image-wrapper')) {
-        wrapper = document.createElement('div');
-        wrapper.className = 'socio-image-wrapper';
-        imgElement.parentNode.insertBefore(wrapper, imgElement);
-        wrapper.appendChild(imgElement);
+      if (from >= to) {
+        continue;
       }
       
-      // Create overlay if it doesn't exist
-      let overlay = wrapper.querySelector('.socio-image-overlay');
-      if (!overlay) {
-        overlay = document.createElement('div');
-        overlay.className = 'socio-image-overlay';
-        wrapper.appendChild(overlay);
-        
-        // Add message and button to the overlay
-        const message = document.createElement('div');
-        message.className = 'socio-overlay-message';
-        message.textContent = 'This image is blurred by Socio.io extension';
-        
-        const button = document.createElement('button');
-        button.className = 'socio-view-image-btn';
-        button.textContent = 'View Image';
-        button.addEventListener('click', function(e) {
-          e.preventDefault();
-          e.stopPropagation();
-          imgElement.classList.toggle('socio-temp-unblur');
-          overlay.classList.toggle('socio-overlay-hidden');
+      // Isolate the flagged part of the text node and swap in a mask
+      const flagged = node.splitText(from);
+      remainders.push(flagged.splitText(to - from));
+      
+      const mask = document.createElement('span');
+      flagged.parentNode.replaceChild(mask, flagged);
+      if (span.mode === 'blur') {
+        mask.className = 'socio-blurred-text';
+        mask.appendChild(flagged);
+        mask.addEventListener('click', (e) => {
+          // The first click reveals the text, later ones reach the page
+          if (!mask.classList.contains('socio-revealed')) {
+            e.preventDefault();
+            e.stopPropagation();
+            mask.classList.add('socio-revealed');
+          }
         });
-        
-        overlay.appendChild(message);
-        overlay.appendChild(button);
+      } else {
+        mask.className = 'socio-masked';
+        mask.textContent = flagged.data.replace(/\S/g, '*');
       }
       
-      // Add filtered class for styling
-      imgElement.classList.add('socio-filtered-image');
-      
-      // Update statistics
-      updateStats(window.SocioConfig.FILTER_CATEGORIES.IMAGE);
-      
-      // Update history
-      updateHistory(
-        window.SocioConfig.FILTER_CATEGORIES.IMAGE,
-        imgElement.src,
-        'blurred-image'
-      );
-      
-      return true;
-    } else {
-      // Mark as safe to avoid reprocessing
-      imgElement.classList.add('socio-safe-image');
+      masks.push({ mask, originalText: flagged.data });
     }
-  } catch (error) {
-    console.error('Socio.io image filtering error:', error);
+  });
+  
+  // The pieces left around the masks have already been analyzed
+  remainders.forEach(node => processedTextNodes.set(node, node.data));
+  
+  return masks;
+}
+
+// Add a notice at the start of a filtered block: "hide" collapses the block
+// behind it until the user asks to see it, "warn" only labels the block
+function addTextNotice(element, elementId, mode, categories) {
+  const notice = document.createElement('span');
+  notice.className = `socio-ui socio-text-notice socio-text-${mode}`;
+  
+  const message = document.createElement('span');
+  const button = document.createElement('button');
+  button.className = 'socio-text-notice-btn';
+  
+  if (mode === 'hide') {
+    message.textContent = 'Hidden by Socio.io';
+    button.textContent = 'Show';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      recoverItem(elementId);
+    });
+    element.classList.add('socio-hidden-text');
+  } else {
+    message.textContent = `May contain ${categories.join(', ') || 'explicit content'}`;
+    button.textContent = 'Dismiss';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      notice.remove();
+    });
   }
   
-  return false;
+  notice.appendChild(message);
+  notice.appendChild(button);
+  element.insertBefore(notice, element.firstChild);
+  return notice;
 }
 
-// Recover filtered content
-function recoverContent() {
-  // Recover text content
-  filteredElements.text.forEach((item) => {
-    if (item.element && item.originalText) {
-      item.element.textContent = item.originalText;
-      item.element.classList.remove('socio-filtered-text');
-    }
-  });
+// Apply a text analysis result to a block of text nodes, treating each
+// flagged range by the mode set for its category
+function filterTextContent(block, originalText, result) {
+  // Nothing to do unless explicit content was found
+  if (!result || !result.containsExplicitContent || !result.spans || result.spans.length === 0) {
+    return false;
+  }
   
-  // Recover images
-  filteredElements.images.forEach((item) => {
-    if (item.element) {
-      item.element.classList.remove('socio-filtered-image');
-      
-      // Remove the overlay
-      const wrapper = item.element.closest('.socio-image-wrapper');
-      if (wrapper) {
-        const overlay = wrapper.querySelector('.socio-image-overlay');
-        if (overlay) {
-          wrapper.removeChild(overlay);
-        }
-        
-        // Unwrap the image if possible
-        if (wrapper.parentNode) {
-          wrapper.parentNode.insertBefore(item.element, wrapper);
-          wrapper.parentNode.removeChild(wrapper);
-        }
-      }
-    }
+  // The page may have changed the text while it was being analyzed
+  if (getBlockText(block) !== originalText) {
+    return false;
+  }
+  
+  const element = block.element;
+  
+  // Hiding the whole page is never wanted, so blocks that are the page
+  // itself are blurred instead
+  const canHide = element !== document.body && element !== document.documentElement;
+  const spans = result.spans.map((span) => {
+    const mode = getTextFilterMode(span.category);
+    return { ...span, mode: mode === 'hide' && !canHide ? 'blur' : mode };
   });
+  const isHidden = spans.some(span => span.mode === 'hide');
   
-  // Clear filtered elements maps
-  filteredElements.text.clear();
-  filteredElements.images.clear();
+  // Mask or blur only the flagged ranges so links and markup stay intact;
+  // a hidden block keeps its text as it is
+  const masks = isHidden
+    ? []
+    : maskTextRanges(block, spans.filter(span => span.mode === 'mask' || span.mode === 'blur'));
   
-  // Add recovery button to the page
-  const recoveryButton = document.createElement('button');
-  recoveryButton.id = 'socio-recovery-notification';
-  recoveryButton.textContent = 'Content recovered';
-  document.body.appendChild(recoveryButton);
+  // Save original text for recovery, reusing the entry of an element filtered before
+  let elementId = element.getAttribute('data-socio-id');
+  let item = elementId && filteredElements.text.get(elementId);
+  if (item) {
+    item.masks.push(...masks);
+  } else {
+    elementId = 'socio-' + Math.random().toString(36).substr(2, 9);
+    element.setAttribute('data-socio-id', elementId);
+    item = {
+      element: element,
+      originalText: originalText,
+      masks: masks,
+      notice: null
+    };
+    filteredElements.text.set(elementId, item);
+  }
   
-  // Remove the notification after 3 seconds
-  setTimeout(() => {
-    if (recoveryButton.parentNode) {
-      recoveryButton.parentNode.removeChild(recoveryButton);
-    }
-  }, 3000);
+  // Collapse or label the block, once
+  const warnedCategories = [...new Set(spans
+    .filter(span => span.mode === 'warn' && span.category)
+    .map(span => span.category))];
+  if (!item.notice && (isHidden || spans.some(span => span.mode === 'warn'))) {
+    item.notice = addTextNotice(element, elementId, isHidden ? 'hide' : 'warn', warnedCategories);
+  }
+  
+  // Add filtered class to mark the element as processed
+  element.classList.add('socio-filtered-text');
+  
+  // Update statistics
+  updateStats(window.SocioConfig.FILTER_CATEGORIES.TEXT);
+  
+  // Update history
+  updateHistory(
+    window.SocioConfig.FILTER_CATEGORIES.TEXT,
+    originalText,
+    result.filteredText
+  );
+  
+  return true;
 }
 
-// Process text nodes
-function processTextNodes() {
-  if (!settings.enableTextFiltering) return;
-  
-  // Get all text-containing elements (paragraphs, headings, divs, spans)
-  const textElements = document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, div, span, a, li');
+// Filter a batch of text blocks with a single request
+async function filterTextBatch(blocks) {
+  const texts = blocks.map(getBlockText);
+  const cacheKeys = texts.map(text => `text:${settings.sensitivityLevel}:${hashText(text)}`);
+  let isFiltered = false;
   
-  textElements.forEach(async (element) => {
-    // Skip elements with no text or that have already been processed
-    if (!element.textContent.trim() || 
-        element.classList.contains('socio-filtered-text') || 
-        element.classList.contains('socio-safe-text')) {
-      return;
-    }
+  try {
+    // Reuse verdicts cached by the background worker
+    const verdicts = await getCachedVerdicts(cacheKeys);
     
-    // Skip elements that are part of the Socio.io UI
-    if (element.closest('.socio-ui') || element.closest('.socio-image-overlay')) {
-      return;
-    }
+    // Only send text without a cached verdict, once per distinct text
+    const items = [];
+    texts.forEach((text, index) => {
+      const id = cacheKeys[index];
+      if (!verdicts[id] && !items.some(item => item.id === id)) {
+        items.push({ id, text });
+      }
+    });
     
-    // Process the element
-    const wasFiltered = await filterTextContent(element);
+    if (items.length > 0) {
+      // Call backend API to filter the whole batch
+      const response = await postToBackend('/api/filter-text/batch', {
+        items,
+        sensitivity: settings.sensitivityLevel
+      });
+      
+      if (!response.ok) {
+        throw new Error('Text filtering request failed');
+      }
+      
+      const { results } = await response.json();
+      
+      // Keep only what is needed to re-apply each verdict
+      const newVerdicts = {};
+      items.forEach(({ id }) => {
+        const result = results[id];
+        if (result && !result.error) {
+          verdicts[id] = result.containsExplicitContent
+            ? { containsExplicitContent: true, filteredText: result.filteredText, spans: result.spans }
+            : { containsExplicitContent: false };
+          
+          // A lexicon-only fallback is used now but checked again next time
+          if (result.source !== 'fallback') {
+            newVerdicts[id] = verdicts[id];
+          }
+        }
+      });
+      
+      cacheVerdicts(newVerdicts);
+    }
     
-    // Mark as processed
-    if (!wasFiltered) {
-      element.classList.add('socio-safe-text');
+    blocks.forEach((block, index) => {
+      filterTextContent(block, texts[index], verdicts[cacheKeys[index]]);
+      
+      // Mark as processed, with the text left once masking split the nodes
+      block.nodes.forEach(node => processedTextNodes.set(node, node.data));
+    });
+    isFiltered = true;
+  } catch (error) {
+    if (isBackendRateLimited()) {
+      // The text is still unprocessed, so scanning it again picks it up
+      blocks.forEach(block => retryAfterRateLimit(block.element, () => processTextNodes(block.element)));
+    } else if (!isApiKeyRejected) {
+      console.error('Socio.io text filtering error:', error);
     }
-  });
+  } finally {
+    blocks.forEach(block => block.nodes.forEach(node => pendingTextNodes.delete(node)));
+  }
+  
+  // Strict mode keeps text covered when its verdict could not be fetched
+  if (isFiltered) {
+    blocks.forEach(block => markTextChecked(block.element));
+  }
 }
 
-// Process images
-function processImages() {
-  if (!settings.enableImageFiltering) return;
-  
-  // Get all images
-  const images = document.querySelectorAll('img');
-  
-  images.forEach(async (img) => {
-    // Skip already processed images or images without a source
-    if (!img.src || 
-        img.classList.contains('socio-filtered-image') || 
-        img.classList.contains('socio-safe-image')) {
-      return;
+// Check whether any text inside an element is waiting on a verdict
+function hasPendingText(element) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    if (pendingTextNodes.has(walker.currentNode)) {
+      return true;
     }
-    
-    // Skip images that are part of the Socio.io UI
-    if (img.closest('.socio-ui')) {
-      return;
+  }
+  return false;
+}
+
+// Reveal the strict mode text elements around an element once none of
+// their text is waiting on a verdict
+function markTextChecked(element) {
+  const selector = window.SocioStrictMode.STRICT_TEXT_SELECTOR;
+  
+  for (let current = element; current; current = current.parentElement) {
+    if (current.matches(selector) && !current.classList.contains('socio-text-checked') &&
+        !hasPendingText(current)) {
+      current.classList.add('socio-text-checked');
     }
-    
-    // Process the image
-    await filterImageContent(img);
-  });
+  }
 }
 
-// Process the entire page
-function processPage() {
-  processTextNodes();
-  processImages();
+// Check whether the backend cannot fetch an image URL itself: blob: and
+// data: URLs, and hosts on the user's local network
+function needsImageCapture(src) {
+  let url;
+  try {
+    url = new URL(src, window.location.href);
+  } catch (error) {
+    return true;
+  }
+  
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return true;
+  }
+  
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  return host === 'localhost' ||
+    (!host.includes('.') && !host.includes(':')) ||
+    /\.(local|localhost|internal|intranet|lan|corp|home)$/.test(host) ||
+    /^(127\.|10\.|192\.168\.|169\.254\.|172\.(1[6-9]|2\d|3[01])\.)/.test(host) ||
+    /^(::1$|f[cd]|fe[89ab])/i.test(host);
 }
 
-// Add recover button to the page
-function addRecoverButton() {
-  // Check if button already exists
-  if (document.getElementById('socio-recover-btn')) {
-    return;
+// Draw a loaded image onto a canvas, downscaled, and return it as a JPEG
+// data URL. Throws if the image is cross-origin and taints the canvas.
+function captureImageFromPage(imgElement) {
+  const width = imgElement.naturalWidth;
+  const height = imgElement.naturalHeight;
+  if (!imgElement.complete || !width || !height) {
+    return null;
   }
   
-  // Create recover button
-  const recoverBtn = document.createElement('button');
-  recoverBtn.id = 'socio-recover-btn';
-  recoverBtn.textContent = 'Recover Content';
-  recoverBtn.addEventListener('click', recoverContent);
+  const scale = Math.min(1, window.SocioConfig.IMAGE_CAPTURE_MAX_DIMENSION / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(imgElement, 0, 0, canvas.width, canvas.height);
   
-  // Add to the page
-  document.body.appendChild(recoverBtn);
+  return canvas.toDataURL('image/jpeg', window.SocioConfig.IMAGE_CAPTURE_QUALITY);
 }
 
-// Check connection to backend
-function checkConnection() {
+// Capture an image's bytes as base64, from the page when the canvas allows
+// it and otherwise through a background fetch with the user's cookies
+async function captureImageData(imgElement, src) {
+  // Only <img> elements can be drawn as the image they display
+  if (imgElement.localName === 'img') {
+    try {
+      const imageBase64 = captureImageFromPage(imgElement);
+      if (imageBase64) {
+        return imageBase64;
+      }
+    } catch (error) {
+      // Cross-origin image without CORS, fall back to the background worker
+    }
+  }
+  
+  // The background worker cannot read the page's blob: URLs
+  if (src.startsWith('blob:')) {
+    return null;
+  }
+  
   return new Promise((resolve) => {
     chrome.runtime.sendMessage({
-      action: 'checkConnection',
-      apiUrl: window.SocioConfig.BACKEND_API_URL
+      action: window.SocioMessages.BACKGROUND_ACTIONS.FETCH_IMAGE_DATA,
+      url: src,
+      maxDimension: window.SocioConfig.IMAGE_CAPTURE_MAX_DIMENSION,
+      quality: window.SocioConfig.IMAGE_CAPTURE_QUALITY
     }, (response) => {
-      resolve(response?.success || false);
+      resolve(response?.success ? response.imageBase64 : null);
     });
   });
 }
 
-// Initialize extension
-async function initialize() {
-  // Load settings
-  loadSettings();
+// Check whether an element was already judged by the image filter
+function isImageProcessed(element) {
+  return element.classList.contains('socio-filtered-image') ||
+    element.classList.contains('socio-filtered-background') ||
+    element.classList.contains('socio-safe-image');
+}
+
+// Find the first url() in a computed background-image value
+function getBackgroundImageUrl(element) {
+  const backgroundImage = window.getComputedStyle(element).backgroundImage;
+  if (!backgroundImage || backgroundImage === 'none') {
+    return null;
+  }
   
-  // Check connection to backend
-  const isConnected = await checkConnection();
+  const match = backgroundImage.match(/url\(\s*(['"]?)(.*?)\1\s*\)/);
+  return match && match[2] ? new URL(match[2], document.baseURI).href : null;
+}
+
+// Resolve the URL an element actually displays: the source picked from
+// <picture> and srcset, an SVG <image> href, a video poster or a CSS
+// background image
+function getImageSource(element) {
+  if (element.localName === 'img') {
+    return element.currentSrc || element.src || null;
+  }
   
-  if (!isConnected) {
-    console.error('Socio.io: Failed to connect to backend');
-    return;
+  if (element.localName === 'video') {
+    return element.poster || null;
   }
   
-  // Process the page
-  processPage();
+  if (element.namespaceURI === 'http://www.w3.org/2000/svg' && element.localName === 'image') {
+    const href = element.getAttribute('href') || element.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+    return href ? new URL(href, document.baseURI).href : null;
+  }
   
-  // Add recover button
-  addRecoverButton();
+  return getBackgroundImageUrl(element);
+}
+
+// Check whether an image is too small to be worth analyzing
+function isImageTooSmall(element) {
+  if (element.localName === 'img') {
+    return element.width < 50 || element.height < 50;
+  }
+  
+  const rect = element.getBoundingClientRect();
+  return rect.width < 50 || rect.height < 50;
+}
+
+// Wrap a filtered element in a positioned box so the overlay can cover it
+function wrapFilteredElement(element) {
+  let wrapper = element.parentElement;
+  if (!wrapper.classList.contains('socio-image-wrapper')) {
+    wrapper = document.createElement('div');
+    wrapper.className = 'socio-image-wrapper';
+    element.parentNode.insertBefore(wrapper, element);
+    wrapper.appendChild(element);
+  }
+  return wrapper;
+}
+
+// Find the element an overlay for an image goes in. Images and videos are
+// wrapped, SVG images are covered by wrapping their outermost <svg>, and
+// elements with a background image host the overlay themselves so their
+// layout is left alone.
+function getOverlayHost(imgElement) {
+  if (imgElement.localName === 'img' || imgElement.localName === 'video') {
+    return wrapFilteredElement(imgElement);
+  }
+  
+  if (imgElement.namespaceURI === 'http://www.w3.org/2000/svg') {
+    let svgRoot = imgElement.ownerSVGElement;
+    while (svgRoot.ownerSVGElement) {
+      svgRoot = svgRoot.ownerSVGElement;
+    }
+    return wrapFilteredElement(svgRoot);
+  }
   
-  // Set up mutation observer to detect new content
-  const observer = new MutationObserver((mutations) => {
-    let shouldProcessText = false;
-    let shouldProcessImages = false;
+  if (window.getComputedStyle(imgElement).position === 'static') {
+    imgElement.classList.add('socio-overlay-host');
+  }
+  return imgElement;
+}
+
+// Keep the categories that led to a blur or warning, for the overlay
+function getImageReasons(categories = []) {
+  return categories
+    .filter((entry) => entry.action !== 'allow')
+    .map(({ category, likelihood }) => ({ category, likelihood }));
+}
+
+// Describe the flagged categories, e.g. "adult (very likely), racy (possible)"
+function describeImageReasons(reasons) {
+  return reasons
+    .map(({ category, likelihood }) => `${category} (${likelihood.toLowerCase().replace('_', ' ')})`)
+    .join(', ');
+}
+
+// Blur an element and cover it with the overlay UI, listing the categories
+// that were flagged
+function blurImageElement(imgElement, reasons = []) {
+  const overlayHost = getOverlayHost(imgElement);
+  const isBackground = overlayHost === imgElement;
+  
+  // Create overlay if it doesn't exist
+  let overlay = Array.from(overlayHost.children).find(child => child.classList.contains('socio-image-overlay'));
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'socio-image-overlay';
+    if (isBackground) {
+      overlay.classList.add('socio-background-overlay');
+    }
+    overlayHost.appendChild(overlay);
     
-    for (const mutation of mutations) {
-      if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check if new text content was added
-            if (node.textContent && node.textContent.trim()) {
-              shouldProcessText = true;
-            }
-            
-            // Check if new images were added
-            if (node.tagName === 'IMG' || node.querySelectorAll('img').length > 0) {
-              shouldProcessImages = true;
-            }
-            
-            // If both types of content were found, we can stop checking
-            if (shouldProcessText && shouldProcessImages) {
-              break;
-            }
-          }
+    // Add message and button to the overlay
+    const message = document.createElement('div');
+    message.className = 'socio-overlay-message';
+    message.textContent = 'This image is blurred by Socio.io extension';
+    overlay.appendChild(message);
+    
+    if (reasons.length > 0) {
+      const reasonText = document.createElement('div');
+      reasonText.className = 'socio-overlay-reasons';
+      reasonText.textContent = `Flagged for ${describeImageReasons(reasons)}`;
+      overlay.appendChild(reasonText);
+    }
+    
+    const button = document.createElement('button');
+    button.className = 'socio-view-image-btn';
+    button.textContent = 'View Image';
+    button.addEventListener('click', function(e) {
+      e.preventDefault();
+      e.stopPropagation();
+      imgElement.classList.toggle('socio-temp-unblur');
+      overlay.classList.toggle('socio-overlay-hidden');
+    });
+    
+    overlay.appendChild(button);
+  }
+  
+  // Add filtered class for styling; a background is blurred by its overlay
+  imgElement.classList.add(isBackground ? 'socio-filtered-background' : 'socio-filtered-image');
+  
+  return overlay;
+}
+
+// Label an image that is shown but was flagged with the warn action
+function warnImageElement(imgElement, src, reasons) {
+  const warning = document.createElement('div');
+  warning.className = 'socio-image-warning';
+  
+  const message = document.createElement('span');
+  message.textContent = `May contain ${describeImageReasons(reasons)}`;
+  
+  const button = document.createElement('button');
+  button.className = 'socio-dismiss-warning-btn';
+  button.textContent = 'Dismiss';
+  button.addEventListener('click', function(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    warning.classList.add('socio-overlay-hidden');
+  });
+  
+  warning.appendChild(message);
+  warning.appendChild(button);
+  getOverlayHost(imgElement).appendChild(warning);
+  imgElement.classList.add('socio-warned-image');
+  
+  const elementId = 'socio-' + Math.random().toString(36).substr(2, 9);
+  imgElement.setAttribute('data-socio-id', elementId);
+  filteredElements.images.set(elementId, {
+    element: imgElement,
+    originalSrc: src,
+    overlay: warning,
+    action: 'warn'
+  });
+}
+
+// Take down an earlier warning before an image is judged again
+function removeImageWarning(imgElement) {
+  if (!imgElement.classList.contains('socio-warned-image')) {
+    return;
+  }
+  
+  const socioId = imgElement.getAttribute('data-socio-id');
+  const item = filteredElements.images.get(socioId);
+  filteredElements.images.delete(socioId);
+  imgElement.classList.remove('socio-warned-image', 'socio-overlay-host');
+  imgElement.removeAttribute('data-socio-id');
+  if (item) {
+    removeImageOverlay(item.overlay);
+  }
+}
+
+// Filter image content
+async function filterImageContent(imgElement) {
+  if (!settings.enableImageFiltering || !imgElement) {
+    return;
+  }
+  
+  // Skip images that are too small or already processed
+  const src = getImageSource(imgElement);
+  if (isImageProcessed(imgElement)) {
+    return;
+  }
+  
+  // Strict mode shows images it will not check; they are checked again if
+  // they load a new source
+  if (!src || isImageTooSmall(imgElement)) {
+    imgElement.classList.add('socio-skipped-image');
+    return;
+  }
+  imgElement.classList.remove('socio-skipped-image');
+  
+  try {
+    // Reuse a verdict cached by the background worker; data: URLs are hashed
+    // to keep the key short
+    const cacheKey = `image:${settings.sensitivityLevel}:${src.startsWith('data:') ? hashText(src) : src}`;
+    let result = (await getCachedVerdicts([cacheKey]))[cacheKey];
+    
+    if (!result) {
+      // Call backend API to filter image, sending the pixels when the
+      // backend cannot fetch the URL itself
+      let response = null;
+      if (!needsImageCapture(src) && !unfetchableImageSources.has(src)) {
+        response = await postToBackend('/api/filter-image', {
+          imageUrl: src,
+          sensitivity: settings.sensitivityLevel,
+          actions: settings.imageCategoryActions
+        });
+      }
+      
+      // 400 and 422 mean the backend refused or failed to fetch the URL,
+      // for example because the image needs the user's login; 415 means it
+      // could not read the format (AVIF, SVG...), which the browser can
+      // decode and send as JPEG
+      if (!response || [400, 415, 422].includes(response.status)) {
+        if (response) {
+          unfetchableImageSources.add(src);
         }
+        
+        const imageBase64 = await captureImageData(imgElement, src);
+        if (!imageBase64) {
+          throw new Error('Unable to capture image data');
+        }
+        
+        response = await postToBackend('/api/filter-image', {
+          imageBase64: imageBase64,
+          sensitivity: settings.sensitivityLevel,
+          actions: settings.imageCategoryActions
+        });
       }
       
-      // If both types of content were found, we can stop checking mutations
-      if (shouldProcessText && shouldProcessImages) {
-        break;
+      if (!response.ok) {
+        throw new Error('Image filtering request failed');
+      }
+      
+      const { action, categories } = await response.json();
+      result = { action, reasons: getImageReasons(categories) };
+      cacheVerdicts({ [cacheKey]: result });
+    }
+    
+    // The element may have been removed or judged while waiting
+    if (!imgElement.isConnected || isImageProcessed(imgElement)) {
+      return false;
+    }
+    
+    // The new verdict replaces any warning from an earlier one
+    removeImageWarning(imgElement);
+    
+    // If inappropriate content found, blur the image
+    if (result.action === 'blur') {
+      // Save original image for recovery
+      const elementId = 'socio-' + Math.random().toString(36).substr(2, 9);
+      imgElement.setAttribute('data-socio-id', elementId);
+      const overlay = blurImageElement(imgElement, result.reasons);
+      filteredElements.images.set(elementId, {
+        element: imgElement,
+        originalSrc: src,
+        overlay: overlay,
+        action: 'blur'
+      });
+      
+      // Update statistics
+      updateStats(window.SocioConfig.FILTER_CATEGORIES.IMAGE);
+      
+      // Update history
+      updateHistory(
+        window.SocioConfig.FILTER_CATEGORIES.IMAGE,
+        src,
+        'blurred-image'
+      );
+      
+      return true;
+    }
+    
+    if (result.action === 'warn') {
+      warnImageElement(imgElement, src, result.reasons);
+    }
+    
+    // Mark as safe to avoid reprocessing
+    imgElement.classList.add('socio-safe-image');
+    judgedImageSources.set(imgElement, src);
+  } catch (error) {
+    if (isBackendRateLimited()) {
+      retryAfterRateLimit(imgElement, () => filterImageContent(imgElement));
+    } else if (!isApiKeyRejected) {
+      console.error('Socio.io image filtering error:', error);
+    }
+  }
+  
+  return false;
+}
+
+// Restore the masked text of a filtered element
+function recoverText(item) {
+  if (item.element) {
+    // Put the original text back in place of each mask
+    item.masks.forEach(({ mask, originalText }) => {
+      if (mask.parentNode) {
+        const textNode = document.createTextNode(originalText);
+        processedTextNodes.set(textNode, originalText);
+        mask.parentNode.replaceChild(textNode, mask);
+      }
+    });
+    if (item.notice) {
+      item.notice.remove();
+    }
+    item.element.classList.remove('socio-filtered-text', 'socio-hidden-text');
+    item.element.removeAttribute('data-socio-id');
+  }
+}
+
+// Remove an overlay or warning, unwrapping the image it covered
+function removeImageOverlay(overlay) {
+  if (overlay && overlay.parentNode) {
+    const wrapper = overlay.parentNode;
+    wrapper.removeChild(overlay);
+    
+    // Unwrap the image if possible
+    if (wrapper.classList.contains('socio-image-wrapper') && wrapper.parentNode) {
+      while (wrapper.firstChild) {
+        wrapper.parentNode.insertBefore(wrapper.firstChild, wrapper);
+      }
+      wrapper.parentNode.removeChild(wrapper);
+    }
+  }
+}
+
+// Remove the blur and overlay, or the warning, from a filtered image
+function recoverImage(item) {
+  if (item.element) {
+    item.element.classList.remove('socio-filtered-image', 'socio-filtered-background',
+      'socio-warned-image', 'socio-overlay-host', 'socio-temp-unblur');
+    item.element.removeAttribute('data-socio-id');
+    
+    // Keep the recovered image from being filtered again
+    item.element.classList.add('socio-safe-image');
+    if (item.element.localName === 'video') {
+      recoveredVideos.add(item.element);
+    }
+    
+    removeImageOverlay(item.overlay);
+  }
+}
+
+// Show a short-lived notification on the page
+function showRecoveryNotification() {
+  const recoveryButton = document.createElement('button');
+  recoveryButton.id = 'socio-recovery-notification';
+  recoveryButton.textContent = 'Content recovered';
+  document.body.appendChild(recoveryButton);
+  
+  // Remove the notification after 3 seconds
+  setTimeout(() => {
+    if (recoveryButton.parentNode) {
+      recoveryButton.parentNode.removeChild(recoveryButton);
+    }
+  }, 3000);
+}
+
+// Restore every filtered text element
+function recoverAllText() {
+  const count = filteredElements.text.size;
+  filteredElements.text.forEach(recoverText);
+  filteredElements.text.clear();
+  return count;
+}
+
+// Restore every filtered image
+function recoverAllImages() {
+  revealPendingImages();
+  const count = filteredElements.images.size;
+  filteredElements.images.forEach(recoverImage);
+  filteredElements.images.clear();
+  return count;
+}
+
+// Recover filtered content
+function recoverContent() {
+  const recovered = {
+    text: recoverAllText(),
+    images: recoverAllImages()
+  };
+  
+  if (isTopFrame) {
+    showRecoveryNotification();
+  }
+  
+  return recovered;
+}
+
+// Recover a single filtered element by its data-socio-id
+function recoverItem(socioId) {
+  if (filteredElements.text.has(socioId)) {
+    recoverText(filteredElements.text.get(socioId));
+    filteredElements.text.delete(socioId);
+    return 'text';
+  }
+  
+  if (filteredElements.images.has(socioId)) {
+    recoverImage(filteredElements.images.get(socioId));
+    filteredElements.images.delete(socioId);
+    return 'image';
+  }
+  
+  return null;
+}
+
+// Forget earlier verdicts and filter the whole page again
+function refilterPage() {
+  processedTextNodes = new WeakMap();
+  recoveredVideos = new WeakSet();
+  queryAllRoots('.socio-safe-image').forEach((element) => {
+    element.classList.remove('socio-safe-image');
+  });
+  processPage();
+}
+
+// Pause or resume filtering on this tab
+function setPaused(paused) {
+  isPaused = paused;
+  window.SocioStrictMode.updateStrictMode(settings, !paused && !isApiKeyRejected);
+  
+  // Remember the choice for this tab across reloads
+  chrome.runtime.sendMessage({
+    action: window.SocioMessages.BACKGROUND_ACTIONS.SET_TAB_PAUSED,
+    paused: paused
+  });
+  
+  if (paused) {
+    revealPendingImages();
+  } else {
+    processPage();
+  }
+}
+
+// Describe the current state of the page for the popup
+function getPageStats() {
+  const items = [];
+  
+  filteredElements.text.forEach((item, socioId) => {
+    items.push({ socioId, type: window.SocioConfig.FILTER_CATEGORIES.TEXT, preview: item.originalText });
+  });
+  
+  filteredElements.images.forEach((item, socioId) => {
+    items.push({ socioId, type: window.SocioConfig.FILTER_CATEGORIES.IMAGE, preview: item.originalSrc });
+  });
+  
+  return {
+    paused: isPaused,
+    apiKeyRejected: isApiKeyRejected,
+    stats: { ...sessionStats },
+    items
+  };
+}
+
+// Check whether filtering was paused for this tab before a reload
+function loadTabState() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({
+      action: window.SocioMessages.BACKGROUND_ACTIONS.GET_TAB_STATE
+    }, (response) => {
+      isPaused = response?.paused || false;
+      resolve(isPaused);
+    });
+  });
+}
+
+// Handle requests from the popup
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const { TAB_ACTIONS } = window.SocioMessages;
+  
+  if (message.action === TAB_ACTIONS.RECOVER_CONTENT) {
+    sendResponse({ success: true, recovered: recoverContent() });
+  } else if (message.action === TAB_ACTIONS.RECOVER_ITEM) {
+    const type = recoverItem(message.socioId);
+    sendResponse(type ? { success: true, type } : { success: false });
+  } else if (message.action === TAB_ACTIONS.REFILTER_PAGE) {
+    if (!isPaused) {
+      refilterPage();
+    }
+    sendResponse({ success: !isPaused });
+  } else if (message.action === TAB_ACTIONS.PAUSE_FILTERING) {
+    setPaused(Boolean(message.paused));
+    sendResponse({ success: true, paused: isPaused });
+  } else if (message.action === TAB_ACTIONS.GET_PAGE_STATS) {
+    sendResponse({ success: true, ...getPageStats() });
+  }
+});
+
+// Check whether a subtree should be left out of text scanning
+function isSkippedElement(element) {
+  return SKIPPED_TAGS.has(element.localName) ||
+    element.isContentEditable ||
+    element.matches('[contenteditable]:not([contenteditable="false"])') ||
+    element.matches('.socio-ui, .socio-image-overlay, .socio-image-warning, .socio-masked, .socio-blurred-text, [id^="socio-"]');
+}
+
+// Check whether an element or any of its ancestors is skipped
+function isInSkippedRegion(element) {
+  for (let current = element; current; current = current.parentElement) {
+    if (isSkippedElement(current)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Find the element that holds the logical block a text node belongs to
+function getBlockElement(node) {
+  let element = node.parentElement;
+  while (element && !BLOCK_TAGS.has(element.localName)) {
+    element = element.parentElement;
+  }
+  // Text directly inside a shadow root belongs to the shadow host
+  return element || node.getRootNode().host || document.body;
+}
+
+// Get the trimmed text of a block of text nodes
+function getBlockText(block) {
+  return block.nodes.map(node => node.data).join('').trim();
+}
+
+// Collect the unprocessed text under a root, grouped into logical blocks
+function collectTextBlocks(root) {
+  const blocks = new Map();
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        // Rejecting an element skips its whole subtree
+        return isSkippedElement(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
       }
+      return NodeFilter.FILTER_ACCEPT;
     }
+  });
+  
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
     
-    // Process only the necessary content types
-    if (shouldProcessText) {
-      processTextNodes();
+    // Skip whitespace and text that has already been analyzed or is in flight
+    if (!node.data.trim() || processedTextNodes.get(node) === node.data || pendingTextNodes.has(node)) {
+      continue;
     }
     
-    if (shouldProcessImages) {
-      processImages();
+    const element = getBlockElement(node);
+    if (!blocks.has(element)) {
+      blocks.set(element, { element, nodes: [] });
     }
+    blocks.get(element).nodes.push(node);
+  }
+  
+  return Array.from(blocks.values());
+}
+
+// Process text nodes
+function processTextNodes(root = document.body) {
+  if (!settings.enableTextFiltering || isPaused) return;
+  
+  // Added content may sit inside a skipped region
+  const scanRoot = getScanRoot(root);
+  if (!scanRoot || isInSkippedRegion(getScanElement(scanRoot))) {
+    return;
+  }
+  
+  const batch = [];
+  
+  collectTextBlocks(scanRoot).forEach((block) => {
+    // Skip very short text
+    if (getBlockText(block).length < 3) {
+      block.nodes.forEach(node => processedTextNodes.set(node, node.data));
+      return;
+    }
+    
+    block.nodes.forEach(node => pendingTextNodes.add(node));
+    batch.push(block);
   });
   
-  // Start observing
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
+  // Reveal strict mode text elements that have nothing to check
+  const selector = window.SocioStrictMode.STRICT_TEXT_SELECTOR;
+  const textElements = Array.from(scanRoot.querySelectorAll(selector));
+  if (scanRoot.nodeType === Node.ELEMENT_NODE) {
+    textElements.push(scanRoot);
+  }
+  textElements.forEach((element) => {
+    if (element.matches(selector) && !element.classList.contains('socio-text-checked') &&
+        !hasPendingText(element)) {
+      element.classList.add('socio-text-checked');
+    }
   });
+  
+  // Send the blocks in batches instead of one request per element
+  const batchSize = window.SocioConfig.TEXT_BATCH_SIZE;
+  for (let i = 0; i < batch.length; i += batchSize) {
+    filterTextBatch(batch.slice(i, i + batchSize));
+  }
 }
 
+// Check whether an element displays an image the filter should look at.
+// Strict mode in styles.css covers the same elements, except CSS
+// backgrounds; keep the two in sync
+function isImageElement(element) {
+  if (element.localName === 'img') {
+    return true;
+  }
+  
+  if (element.localName === 'video') {
+    return element.hasAttribute('poster');
+  }
+  
+  if (element.namespaceURI === 'http://www.w3.org/2000/svg') {
+    return element.localName === 'image';
+  }
+  
+  return getBackgroundImageUrl(element) !== null;
+}
+
+// Find elements under a root that display an image: <img> (including
+// <picture> sources), <video> posters, SVG <image> and CSS backgrounds
+function collectImageElements(root) {
+  const elements = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+    acceptNode(node) {
+      if (IMAGE_SKIPPED_TAGS.has(node.localName) ||
+          node.matches('.socio-ui, .socio-image-overlay, .socio-image-warning, [id^="socio-"]')) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+  
+  const first = root.nodeType === Node.ELEMENT_NODE ? root : walker.nextNode();
+  for (let node = first; node; node = walker.nextNode()) {
+    if (!isImageProcessed(node) && !pendingImages.has(node) && isImageElement(node)) {
+      elements.push(node);
+    }
+  }
+  
+  return elements;
+}
+
+// Draw the current frame of a video, downscaled, as a JPEG data URL. Throws
+// if the video is cross-origin and taints the canvas.
+function captureVideoFrame(video) {
+  const width = video.videoWidth;
+  const height = video.videoHeight;
+  if (!width || !height) {
+    return null;
+  }
+  
+  const scale = Math.min(1, window.SocioConfig.IMAGE_CAPTURE_MAX_DIMENSION / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  
+  return canvas.toDataURL('image/jpeg', window.SocioConfig.IMAGE_CAPTURE_QUALITY);
+}
+
+// Pause and blur a video whose frame was flagged
+function blockVideo(video, timestamp, reasons) {
+  video.pause();
+  removeImageWarning(video);
+  
+  const elementId = 'socio-' + Math.random().toString(36).substr(2, 9);
+  video.setAttribute('data-socio-id', elementId);
+  const overlay = blurImageElement(video, reasons);
+  const src = video.currentSrc || video.src || video.poster;
+  filteredElements.images.set(elementId, {
+    element: video,
+    originalSrc: src,
+    overlay: overlay,
+    action: 'blur'
+  });
+  
+  updateStats(window.SocioConfig.FILTER_CATEGORIES.IMAGE);
+  updateHistory(
+    window.SocioConfig.FILTER_CATEGORIES.IMAGE,
+    `${src}#t=${Math.floor(timestamp)}`,
+    'blurred-image'
+  );
+}
+
+// Send the current frame of a playing video for analysis
+async function sampleVideoFrame(video) {
+  // An interval of 0 turns frame checks off, including the first frame
+  if (!settings.enableImageFiltering || !settings.videoFrameInterval || isPaused ||
+      recoveredVideos.has(video) || pendingVideoFrames.has(video) ||
+      video.classList.contains('socio-filtered-image') || isImageTooSmall(video)) {
+    return;
+  }
+  
+  let frameBase64;
+  try {
+    frameBase64 = captureVideoFrame(video);
+  } catch (error) {
+    // Cross-origin video without CORS, its frames cannot be read
+    stopVideoSampling(video);
+    return;
+  }
+  
+  if (!frameBase64) {
+    return;
+  }
+  
+  pendingVideoFrames.add(video);
+  try {
+    const timestamp = video.currentTime;
+    const response = await postToBackend('/api/filter-video-frame', {
+      frameBase64: frameBase64,
+      timestamp: timestamp,
+      sensitivity: settings.sensitivityLevel,
+      actions: settings.imageCategoryActions
+    });
+    
+    if (!response.ok) {
+      throw new Error('Video frame filtering request failed');
+    }
+    
+    const { action, categories } = await response.json();
+    if (!video.isConnected || video.classList.contains('socio-filtered-image')) {
+      return;
+    }
+    
+    // A warned video keeps playing and is still sampled in case a later
+    // frame needs blurring
+    if (action === 'blur') {
+      blockVideo(video, timestamp, getImageReasons(categories));
+    } else if (action === 'warn' && !video.classList.contains('socio-warned-image')) {
+      warnImageElement(video, video.currentSrc || video.src || video.poster, getImageReasons(categories));
+    }
+  } catch (error) {
+    if (!isApiKeyRejected) {
+      console.error('Socio.io video filtering error:', error);
+    }
+  } finally {
+    pendingVideoFrames.delete(video);
+  }
+}
+
+// Sample frames from a video at the configured interval while it plays
+function scheduleVideoSampling(video) {
+  clearTimeout(videoSamplingTimers.get(video));
+  
+  const interval = settings.videoFrameInterval;
+  if (!interval || video.paused || video.ended || !video.isConnected) {
+    videoSamplingTimers.delete(video);
+    return;
+  }
+  
+  videoSamplingTimers.set(video, setTimeout(async () => {
+    await sampleVideoFrame(video);
+    if (videoSamplingTimers.has(video)) {
+      scheduleVideoSampling(video);
+    }
+  }, interval * 1000));
+}
+
+// Stop sampling frames from a video
+function stopVideoSampling(video) {
+  clearTimeout(videoSamplingTimers.get(video));
+  videoSamplingTimers.delete(video);
+}
+
+// Start sampling a video whenever it plays
+function watchVideo(video) {
+  if (watchedVideos.has(video)) {
+    return;
+  }
+  watchedVideos.add(video);
+  
+  video.addEventListener('playing', () => {
+    // Check the first frame straight away, then at the interval
+    sampleVideoFrame(video);
+    scheduleVideoSampling(video);
+  });
+  video.addEventListener('pause', () => stopVideoSampling(video));
+  video.addEventListener('ended', () => stopVideoSampling(video));
+  
+  if (!video.paused && !video.ended) {
+    sampleVideoFrame(video);
+    scheduleVideoSampling(video);
+  }
+}
+
+// Blur an unjudged image until its loaded source has been analyzed
+async function checkImageNearViewport(img) {
+  if (!settings.enableImageFiltering || isPaused || isImageProcessed(img) || pendingImages.has(img)) {
+    return;
+  }
+  
+  // Broken images and images without a source have nothing to show
+  if (img.complete && img.naturalWidth === 0) {
+    img.classList.remove('socio-pending-image');
+    img.classList.add('socio-skipped-image');
+    return;
+  }
+  
+  // autoBlurImages decides whether images are blurred until checked
+  if (settings.autoBlurImages) {
+    img.classList.add('socio-pending-image');
+  }
+  
+  // Still loading; the load listener checks it again
+  if (!img.complete) {
+    return;
+  }
+  
+  pendingImages.add(img);
+  try {
+    await filterImageContent(img);
+  } finally {
+    pendingImages.delete(img);
+    img.classList.remove('socio-pending-image');
+  }
+}
+
+// Check images as they come within reach of the viewport
+function handleImagesNearViewport(entries) {
+  entries.forEach((entry) => {
+    if (entry.isIntersecting) {
+      imageVisibilityObserver.unobserve(entry.target);
+      checkImageNearViewport(entry.target);
+    }
+  });
+}
+
+// Check an image again once it shows a source other than the one judged
+function recheckImage(img) {
+  if (img.classList.contains('socio-filtered-image') || !img.isConnected) {
+    return;
+  }
+  
+  if (img.classList.contains('socio-safe-image') && judgedImageSources.get(img) !== getImageSource(img)) {
+    img.classList.remove('socio-safe-image');
+  }
+  
+  if (!isImageProcessed(img)) {
+    imageVisibilityObserver.observe(img);
+  }
+}
+
+// Remove the blur from images still waiting on a verdict
+function revealPendingImages() {
+  queryAllRoots('.socio-pending-image').forEach((img) => {
+    img.classList.remove('socio-pending-image');
+  });
+}
+
+// Process images
+function processImages(root = document.body) {
+  if (!settings.enableImageFiltering || isPaused) return;
+  
+  const scanRoot = getScanRoot(root);
+  if (!scanRoot || getScanElement(scanRoot).closest('.socio-ui, .socio-image-overlay, .socio-image-warning')) {
+    return;
+  }
+  
+  // Playing videos are also checked frame by frame
+  const videos = scanRoot.localName === 'video' ? [scanRoot] : scanRoot.querySelectorAll('video');
+  videos.forEach(watchVideo);
+  
+  collectImageElements(scanRoot).forEach(async (element) => {
+    // <img> elements are checked as they near the viewport and once loaded
+    if (element.localName === 'img') {
+      imageVisibilityObserver.observe(element);
+      return;
+    }
+    
+    pendingImages.add(element);
+    try {
+      await filterImageContent(element);
+    } finally {
+      pendingImages.delete(element);
+    }
+  });
+}
+
+// Resolve where a scan of added content starts: the element itself, an
+// open shadow root, or the parent element of a text node
+function getScanRoot(root) {
+  if (root.nodeType === Node.ELEMENT_NODE || root instanceof ShadowRoot) {
+    return root;
+  }
+  return root.parentElement;
+}
+
+// The element that stands for a scan root; a shadow root is represented by its host
+function getScanElement(scanRoot) {
+  return scanRoot instanceof ShadowRoot ? scanRoot.host : scanRoot;
+}
+
+// Find matching elements in the page and in every known shadow root
+function queryAllRoots(selector) {
+  const elements = Array.from(document.querySelectorAll(selector));
+  shadowRoots.forEach((shadowRoot) => {
+    elements.push(...shadowRoot.querySelectorAll(selector));
+  });
+  return elements;
+}
+
+// Give a shadow root the Socio.io styles and the same observers as the page
+function prepareShadowRoot(shadowRoot) {
+  // Page stylesheets do not reach into shadow trees
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = chrome.runtime.getURL('styles.css');
+  link.className = 'socio-ui';
+  shadowRoot.appendChild(link);
+  
+  if (pageObserver) {
+    pageObserver.observe(shadowRoot, PAGE_OBSERVER_OPTIONS);
+  }
+  listenForImageEvents(shadowRoot);
+}
+
+// Find open shadow roots under a root, including nested ones, and filter
+// their content like the page's
+function watchShadowRoots(root) {
+  const scanRoot = getScanRoot(root);
+  if (!scanRoot) {
+    return;
+  }
+  
+  const walker = document.createTreeWalker(scanRoot, NodeFilter.SHOW_ELEMENT);
+  const first = scanRoot.nodeType === Node.ELEMENT_NODE ? scanRoot : walker.nextNode();
+  
+  for (let node = first; node; node = walker.nextNode()) {
+    const shadowRoot = node.shadowRoot;
+    if (shadowRoot && !shadowRoots.has(shadowRoot)) {
+      shadowRoots.add(shadowRoot);
+      prepareShadowRoot(shadowRoot);
+      processTextNodes(shadowRoot);
+      processImages(shadowRoot);
+      watchShadowRoots(shadowRoot);
+    }
+  }
+}
+
+// Process the entire page
+function processPage() {
+  processTextNodes();
+  processImages();
+  
+  // Shadow roots found earlier, then any new ones
+  shadowRoots.forEach((shadowRoot) => {
+    if (!shadowRoot.host.isConnected) {
+      shadowRoots.delete(shadowRoot);
+      return;
+    }
+    processTextNodes(shadowRoot);
+    processImages(shadowRoot);
+  });
+  watchShadowRoots(document.body);
+}
+
+// Add recover button to the page
+function addRecoverButton() {
+  // Check if button already exists
+  if (!isTopFrame || document.getElementById('socio-recover-btn')) {
+    return;
+  }
+  
+  // Create recover button; it recovers content in every frame of the tab
+  const recoverBtn = document.createElement('button');
+  recoverBtn.id = 'socio-recover-btn';
+  recoverBtn.textContent = 'Recover Content';
+  recoverBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({
+      action: window.SocioMessages.BACKGROUND_ACTIONS.SEND_TO_FRAMES,
+      message: { action: window.SocioMessages.TAB_ACTIONS.RECOVER_CONTENT }
+    });
+  });
+  
+  // Add to the page
+  document.body.appendChild(recoverBtn);
+}
+
+// Check connection to backend
+function checkConnection() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({
+      action: 'checkConnection',
+      apiUrl: window.SocioConfig.BACKEND_API_URL
+    }, (response) => {
+      resolve(response?.success || false);
+    });
+  });
+}
+
+// Handle content added to the page or to a shadow root
+function handlePageMutations(mutations) {
+  const textRoots = new Set();
+  const elementRoots = new Set();
+  const changedImages = new Set();
+  
+  for (const mutation of mutations) {
+    // Lazy loaders swap in the real image by changing src or srcset
+    if (mutation.type === 'attributes' && mutation.target.localName === 'img') {
+      changedImages.add(mutation.target);
+    }
+    
+    if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
+      for (const node of mutation.addedNodes) {
+        // Collect the roots of new text so only they are scanned
+        if ((node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) &&
+            node.textContent && node.textContent.trim()) {
+          textRoots.add(node);
+        }
+        
+        // New elements may show images as tags or backgrounds, or host
+        // shadow roots
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          elementRoots.add(node);
+        }
+      }
+    }
+  }
+  
+  // Process only the necessary content
+  textRoots.forEach((root) => {
+    if (root.isConnected) {
+      processTextNodes(root);
+    }
+  });
+  
+  elementRoots.forEach((root) => {
+    if (root.isConnected) {
+      processImages(root);
+      watchShadowRoots(root);
+    }
+  });
+  
+  if (settings.enableImageFiltering && !isPaused) {
+    changedImages.forEach(recheckImage);
+  }
+}
+
+// Check images again when they finish loading or load a new source; load
+// events neither bubble nor leave shadow trees, so listen in the capture
+// phase on the document and on each shadow root
+function listenForImageEvents(target) {
+  target.addEventListener('load', (event) => {
+    if (event.target.localName === 'img' && settings.enableImageFiltering && !isPaused) {
+      recheckImage(event.target);
+    }
+  }, true);
+  
+  target.addEventListener('error', (event) => {
+    if (event.target.localName === 'img') {
+      event.target.classList.remove('socio-pending-image');
+    }
+  }, true);
+}
+
+// Set up mutation observer to detect new content
+function observePage() {
+  pageObserver = new MutationObserver(handlePageMutations);
+  
+  // Start observing
+  pageObserver.observe(document.body, PAGE_OBSERVER_OPTIONS);
+  shadowRoots.forEach(shadowRoot => pageObserver.observe(shadowRoot, PAGE_OBSERVER_OPTIONS));
+  
+  listenForImageEvents(document);
+}
+
+// Start filtering once the backend is reachable
+async function startFiltering() {
+  if (isStarted) {
+    return;
+  }
+  isStarted = true;
+  
+  // Check connection to backend
+  const isConnected = await checkConnection();
+  
+  if (!isConnected) {
+    console.error('Socio.io: Failed to connect to backend');
+    window.SocioStrictMode.releaseStrictMode();
+    isStarted = false;
+    return;
+  }
+  
+  // Process the page
+  processPage();
+  
+  // Add recover button
+  addRecoverButton();
+  
+  observePage();
+}
+
+// Re-evaluate the page after the settings or site rules change
+async function handleSettingsChange() {
+  const previous = settings;
+  await loadSettings();
+  
+  // A new key gets another chance
+  const apiKeyChanged = previous.apiKey !== settings.apiKey;
+  if (apiKeyChanged) {
+    isApiKeyRejected = false;
+  }
+  window.SocioStrictMode.updateStrictMode(settings, !isPaused && !isApiKeyRejected);
+  
+  // Unmask content for filter types that were turned off
+  if (previous.enableTextFiltering && !settings.enableTextFiltering) {
+    recoverAllText();
+  }
+  if (previous.enableImageFiltering && !settings.enableImageFiltering) {
+    recoverAllImages();
+  }
+  
+  if (!settings.enableTextFiltering && !settings.enableImageFiltering) {
+    return;
+  }
+  
+  if (!isStarted) {
+    startFiltering();
+    return;
+  }
+  
+  const previousLevel = SENSITIVITY_ORDER.indexOf(previous.sensitivityLevel);
+  const level = SENSITIVITY_ORDER.indexOf(settings.sensitivityLevel);
+  const imageActionsChanged = JSON.stringify(previous.imageCategoryActions) !==
+    JSON.stringify(settings.imageCategoryActions);
+  const textModesChanged = JSON.stringify(previous.textFilterModes) !==
+    JSON.stringify(settings.textFilterModes);
+  
+  if (level < previousLevel) {
+    // Content masked at the stricter level may now be allowed, so start over
+    recoverAllText();
+    recoverAllImages();
+    refilterPage();
+  } else if (imageActionsChanged || textModesChanged) {
+    // Content may need a different treatment, so apply the verdicts again
+    if (imageActionsChanged) {
+      recoverAllImages();
+    }
+    if (textModesChanged) {
+      recoverAllText();
+    }
+    refilterPage();
+  } else if (level > previousLevel || apiKeyChanged ||
+      (!previous.enableTextFiltering && settings.enableTextFiltering) ||
+      (!previous.enableImageFiltering && settings.enableImageFiltering)) {
+    // Look again at content that passed before
+    refilterPage();
+  }
+}
+
+// Apply settings saved in the popup without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const { SETTINGS, SITE_RULES } = window.SocioConfig.STORAGE_KEYS;
+  
+  if (areaName === 'local' && (changes[SETTINGS] || changes[SITE_RULES])) {
+    handleSettingsChange();
+  }
+});
+
+// Initialize extension
+async function initialize() {
+  // Load settings before anything is sent to the backend
+  await loadSettings();
+  await loadTabState();
+  window.SocioStrictMode.updateStrictMode(settings, !isPaused);
+  
+  // Nothing to do on sites where every kind of filtering is off
+  if (!settings.enableTextFiltering && !settings.enableImageFiltering) {
+    return;
+  }
+  
+  await startFiltering();
+}
+
+// Let the background worker forward tab actions to this frame
+chrome.runtime.sendMessage({ action: window.SocioMessages.BACKGROUND_ACTIONS.REGISTER_FRAME });
+
 // Start the extension
-window.addEventListener('load', initialize);
\ No newline at end of file
+window.addEventListener('load', initialize);
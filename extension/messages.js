@@ -0,0 +1,128 @@
+// Message protocol between the popup, background worker and content script
+//
+// Loaded by the popup and content script as a plain script and by the
+// background worker through importScripts, so it attaches to `self`, which
+// is the window in pages and the global scope in the worker.
+
+// Actions handled by the content script, sent with chrome.tabs.sendMessage
+const TAB_ACTIONS = {
+  RECOVER_CONTENT: 'recoverContent',
+  RECOVER_ITEM: 'recoverItem',
+  REFILTER_PAGE: 'refilterPage',
+  PAUSE_FILTERING: 'pauseFiltering',
+  GET_PAGE_STATS: 'getPageStats'
+};
+
+// Actions handled by the background worker, sent with chrome.runtime.sendMessage
+const BACKGROUND_ACTIONS = {
+  SET_TAB_PAUSED: 'setTabPaused',
+  GET_TAB_STATE: 'getTabState',
+  FETCH_IMAGE_DATA: 'fetchImageData',
+  REGISTER_FRAME: 'registerFrame',
+  SEND_TO_FRAMES: 'sendToFrames'
+};
+
+/**
+ * @typedef {Object} RecoverContentRequest
+ * @property {'recoverContent'} action
+ *
+ * @typedef {Object} RecoverContentResponse
+ * @property {boolean} success
+ * @property {{text: number, images: number}} recovered - How many items were restored
+ */
+
+/**
+ * @typedef {Object} RecoverItemRequest
+ * @property {'recoverItem'} action
+ * @property {string} socioId - The data-socio-id of the element to restore
+ *
+ * @typedef {Object} RecoverItemResponse
+ * @property {boolean} success - False when no filtered item has that id
+ * @property {'text'|'image'} [type] - The kind of item that was restored
+ */
+
+/**
+ * @typedef {Object} RefilterPageRequest
+ * @property {'refilterPage'} action
+ *
+ * @typedef {Object} RefilterPageResponse
+ * @property {boolean} success - False while filtering is paused
+ */
+
+/**
+ * @typedef {Object} PauseFilteringRequest
+ * @property {'pauseFiltering'} action
+ * @property {boolean} paused - Whether filtering should stop on this tab
+ *
+ * @typedef {Object} PauseFilteringResponse
+ * @property {boolean} success
+ * @property {boolean} paused - The new state
+ */
+
+/**
+ * @typedef {Object} PageItem
+ * @property {string} socioId - The data-socio-id of the filtered element
+ * @property {number} [frameId] - The frame holding the element, added by the background worker
+ * @property {'text'|'image'} type
+ * @property {string} preview - Original text, or the image URL
+ *
+ * @typedef {Object} GetPageStatsRequest
+ * @property {'getPageStats'} action
+ *
+ * @typedef {Object} GetPageStatsResponse
+ * @property {boolean} success
+ * @property {boolean} paused
+ * @property {boolean} apiKeyRejected - Whether the backend refused the API key
+ * @property {{textFiltered: number, imagesFiltered: number}} stats - Counts for this page load
+ * @property {Array<PageItem>} items - Items that are still filtered
+ */
+
+/**
+ * @typedef {Object} SetTabPausedRequest
+ * @property {'setTabPaused'} action
+ * @property {boolean} paused
+ *
+ * @typedef {Object} GetTabStateRequest
+ * @property {'getTabState'} action
+ *
+ * @typedef {Object} TabStateResponse
+ * @property {boolean} success
+ * @property {boolean} paused - Whether filtering is paused for the sender's tab
+ */
+
+/**
+ * @typedef {Object} FetchImageDataRequest
+ * @property {'fetchImageData'} action
+ * @property {string} url - Image URL, fetched with the user's cookies
+ * @property {number} maxDimension - Longest side of the downscaled image, in pixels
+ * @property {number} quality - JPEG quality between 0 and 1
+ *
+ * @typedef {Object} FetchImageDataResponse
+ * @property {boolean} success
+ * @property {string} [imageBase64] - The downscaled image as a JPEG data URL
+ * @property {string} [error]
+ */
+
+/**
+ * Every frame of a tab runs its own content script and filters its own
+ * content. Frames register with the background worker, which forwards tab
+ * actions to each of them and merges the answers into one response.
+ *
+ * @typedef {Object} RegisterFrameRequest
+ * @property {'registerFrame'} action
+ *
+ * @typedef {Object} SendToFramesRequest
+ * @property {'sendToFrames'} action
+ * @property {number} [tabId] - Defaults to the sender's tab
+ * @property {number} [frameId] - Only send to this frame
+ * @property {Object} message - A tab action request
+ *
+ * The response is the merged tab action response, or null when no frame
+ * answered: counts and items are combined, and success, paused and
+ * apiKeyRejected are true if they are true in any frame.
+ */
+
+self.SocioMessages = {
+  TAB_ACTIONS,
+  BACKGROUND_ACTIONS
+};
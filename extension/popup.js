@@ -11,14 +11,44 @@ const lastUpdated = document.getElementById('last-updated');
 const domainDropdown = document.getElementById('domain-dropdown');
 const historyList = document.getElementById('history-list');
 const recoverContentBtn = document.getElementById('recover-content-btn');
+const refilterPageBtn = document.getElementById('refilter-page-btn');
+const pauseFilteringBtn = document.getElementById('pause-filtering-btn');
+const pageSummary = document.getElementById('page-summary');
+const pageItems = document.getElementById('page-items');
 const saveSettingsBtn = document.getElementById('save-settings');
 
+// Whether the backend refused the API key on the active tab
+let isApiKeyRejected = false;
+
+// Whether filtering is paused on the active tab
+let isTabPaused = false;
+
+// Hostname of the active tab, if it is a web page
+let currentHostname = null;
+
+// Site rule elements
+const siteFilteringToggle = document.getElementById('site-filtering-toggle');
+const currentSite = document.getElementById('current-site');
+const siteRulePattern = document.getElementById('site-rule-pattern');
+const siteRuleText = document.getElementById('site-rule-text');
+const siteRuleImages = document.getElementById('site-rule-images');
+const siteRuleSensitivity = document.getElementById('site-rule-sensitivity');
+const siteRuleTextMode = document.getElementById('site-rule-text-mode');
+const addSiteRuleBtn = document.getElementById('add-site-rule');
+const siteRuleList = document.getElementById('site-rule-list');
+
 // Settings form elements
 const enableTextFiltering = document.getElementById('enable-text-filtering');
 const enableImageFiltering = document.getElementById('enable-image-filtering');
 const enableStatistics = document.getElementById('enable-statistics');
 const autoBlurImages = document.getElementById('auto-blur-images');
+const strictMode = document.getElementById('strict-mode');
+const strictModeText = document.getElementById('strict-mode-text');
 const sensitivityLevel = document.getElementById('sensitivity-level');
+const videoFrameInterval = document.getElementById('video-frame-interval');
+const apiKey = document.getElementById('api-key');
+const textModeSelects = document.querySelectorAll('.text-mode');
+const categoryActionSelects = document.querySelectorAll('.category-action');
 
 // Check connection to backend
 function checkConnection() {
@@ -29,7 +59,9 @@ function checkConnection() {
     action: 'checkConnection',
     apiUrl: window.SocioConfig.BACKEND_API_URL
   }, (response) => {
-    if (response && response.success) {
+    if (isApiKeyRejected) {
+      showApiKeyRejected();
+    } else if (response && response.success) {
       connectionStatus.textContent = 'Connected';
       connectionStatus.className = 'socio-status connected';
     } else {
@@ -39,6 +71,12 @@ function checkConnection() {
   });
 }
 
+// Report that the backend refused the API key
+function showApiKeyRejected() {
+  connectionStatus.textContent = 'API key missing or invalid';
+  connectionStatus.className = 'socio-status disconnected';
+}
+
 // Load statistics
 function loadStatistics() {
   chrome.storage.local.get([window.SocioConfig.STORAGE_KEYS.STATS], (result) => {
@@ -162,6 +200,28 @@ function loadSettings() {
     enableImageFiltering.checked = settings.enableImageFiltering;
     enableStatistics.checked = settings.enableStatistics;
     autoBlurImages.checked = settings.autoBlurImages;
+    strictMode.checked = Boolean(settings.strictMode);
+    strictModeText.checked = Boolean(settings.strictModeText);
+    videoFrameInterval.value = settings.videoFrameInterval ?? 5;
+    apiKey.value = settings.apiKey || '';
+    
+    // Set the mode for each text category
+    const textFilterModes = {
+      ...window.SocioConfig.DEFAULT_SETTINGS.textFilterModes,
+      ...settings.textFilterModes
+    };
+    textModeSelects.forEach((select) => {
+      select.value = textFilterModes[select.dataset.category];
+    });
+    
+    // Set the action for each image category
+    const imageCategoryActions = {
+      ...window.SocioConfig.DEFAULT_SETTINGS.imageCategoryActions,
+      ...settings.imageCategoryActions
+    };
+    categoryActionSelects.forEach((select) => {
+      select.value = imageCategoryActions[select.dataset.category];
+    });
     
     // Set sensitivity level
     if (settings.sensitivityLevel === 'low') {
@@ -184,13 +244,31 @@ function saveSettings() {
     sensitivityLevelString = 'high';
   }
   
+  // Collect the mode chosen for each text category
+  const textFilterModes = {};
+  textModeSelects.forEach((select) => {
+    textFilterModes[select.dataset.category] = select.value;
+  });
+  
+  // Collect the action chosen for each image category
+  const imageCategoryActions = {};
+  categoryActionSelects.forEach((select) => {
+    imageCategoryActions[select.dataset.category] = select.value;
+  });
+  
   // Create settings object
   const settings = {
     enableTextFiltering: enableTextFiltering.checked,
     enableImageFiltering: enableImageFiltering.checked,
     enableStatistics: enableStatistics.checked,
     autoBlurImages: autoBlurImages.checked,
-    sensitivityLevel: sensitivityLevelString
+    strictMode: strictMode.checked,
+    strictModeText: strictModeText.checked,
+    sensitivityLevel: sensitivityLevelString,
+    videoFrameInterval: Math.max(0, parseInt(videoFrameInterval.value) || 0),
+    textFilterModes: textFilterModes,
+    imageCategoryActions: imageCategoryActions,
+    apiKey: apiKey.value.trim()
   };
   
   // Save to storage
@@ -206,21 +284,291 @@ function saveSettings() {
   });
 }
 
-// Recover content on the active tab
-function recoverContent() {
+// Load the site rules
+function getSiteRules(callback) {
+  chrome.storage.local.get([window.SocioConfig.STORAGE_KEYS.SITE_RULES], (result) => {
+    callback(result[window.SocioConfig.STORAGE_KEYS.SITE_RULES] || []);
+  });
+}
+
+// Save the site rules and refresh the site settings
+function saveSiteRules(rules) {
+  chrome.storage.local.set({ [window.SocioConfig.STORAGE_KEYS.SITE_RULES]: rules }, loadSiteRules);
+}
+
+// Add a rule, replacing any rule with the same pattern
+function upsertSiteRule(rules, rule) {
+  return rules.filter(existing => existing.pattern !== rule.pattern).concat(rule);
+}
+
+// Describe what a rule does
+function describeSiteRule(rule) {
+  if (rule.enableTextFiltering === false && rule.enableImageFiltering === false) {
+    return 'Off';
+  }
+  
+  const parts = [];
+  if (rule.enableTextFiltering === false) parts.push('No text');
+  if (rule.enableImageFiltering === false) parts.push('No images');
+  if (rule.sensitivityLevel) {
+    parts.push(rule.sensitivityLevel.charAt(0).toUpperCase() + rule.sensitivityLevel.slice(1));
+  }
+  if (rule.textFilterMode) {
+    parts.push(`${rule.textFilterMode.charAt(0).toUpperCase() + rule.textFilterMode.slice(1)} text`);
+  }
+  return parts.join(', ') || 'On';
+}
+
+// Load the site rules and the state of the active tab's site
+function loadSiteRules() {
+  chrome.storage.local.get([
+    window.SocioConfig.STORAGE_KEYS.SETTINGS,
+    window.SocioConfig.STORAGE_KEYS.SITE_RULES
+  ], (result) => {
+    const settings = result[window.SocioConfig.STORAGE_KEYS.SETTINGS] || window.SocioConfig.DEFAULT_SETTINGS;
+    const rules = result[window.SocioConfig.STORAGE_KEYS.SITE_RULES] || [];
+    
+    // Update the quick toggle for the active site
+    if (currentHostname) {
+      const rule = window.SocioSiteRules.findSiteRule(rules, currentHostname);
+      const effective = window.SocioSiteRules.applySiteRule(settings, rule);
+      
+      currentSite.textContent = currentHostname;
+      siteFilteringToggle.disabled = false;
+      siteFilteringToggle.checked = effective.enableTextFiltering || effective.enableImageFiltering;
+    } else {
+      currentSite.textContent = 'This Site';
+      siteFilteringToggle.disabled = true;
+    }
+    
+    // List the rules
+    siteRuleList.innerHTML = '';
+    rules.forEach((rule) => {
+      const ruleItem = document.createElement('div');
+      ruleItem.className = 'site-rule';
+      
+      const rulePattern = document.createElement('span');
+      rulePattern.className = 'site-rule-pattern';
+      rulePattern.textContent = rule.pattern;
+      
+      const ruleSummary = document.createElement('span');
+      ruleSummary.className = 'site-rule-summary';
+      ruleSummary.textContent = describeSiteRule(rule);
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'page-item-btn';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => {
+        saveSiteRules(rules.filter(existing => existing !== rule));
+      });
+      
+      ruleItem.appendChild(rulePattern);
+      ruleItem.appendChild(ruleSummary);
+      ruleItem.appendChild(removeButton);
+      
+      siteRuleList.appendChild(ruleItem);
+    });
+  });
+}
+
+// Find the hostname of the active tab
+function loadCurrentSite() {
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    if (tabs[0]) {
-      chrome.tabs.sendMessage(tabs[0].id, { action: 'recoverContent' });
+    try {
+      const url = new URL(tabs[0]?.url || '');
+      currentHostname = /^https?:$/.test(url.protocol) ? url.hostname : null;
+    } catch (error) {
+      currentHostname = null;
+    }
+    
+    if (currentHostname && !siteRulePattern.value) {
+      siteRulePattern.value = currentHostname;
+    }
+    
+    loadSiteRules();
+  });
+}
+
+// Switch filtering on or off for the active site
+function toggleCurrentSite() {
+  const enabled = siteFilteringToggle.checked;
+  
+  chrome.storage.local.get([window.SocioConfig.STORAGE_KEYS.SETTINGS], (result) => {
+    const settings = result[window.SocioConfig.STORAGE_KEYS.SETTINGS] || window.SocioConfig.DEFAULT_SETTINGS;
+    
+    getSiteRules((rules) => {
+      // Drop the rule for this exact host, then add one back if a wildcard rule still disagrees
+      let updated = rules.filter(rule => rule.pattern !== currentHostname);
+      const effective = window.SocioSiteRules.applySiteRule(
+        settings,
+        window.SocioSiteRules.findSiteRule(updated, currentHostname)
+      );
+      
+      if ((effective.enableTextFiltering || effective.enableImageFiltering) !== enabled) {
+        updated = upsertSiteRule(updated, {
+          pattern: currentHostname,
+          enableTextFiltering: enabled,
+          enableImageFiltering: enabled,
+          sensitivityLevel: null,
+          textFilterMode: null
+        });
+      }
       
-      // Show feedback
-      recoverContentBtn.textContent = 'Content Recovered!';
-      setTimeout(() => {
-        recoverContentBtn.textContent = 'Recover Content';
-      }, 2000);
+      saveSiteRules(updated);
+    });
+  });
+}
+
+// Add a rule from the site rule form
+function addSiteRule() {
+  const pattern = siteRulePattern.value.trim().toLowerCase();
+  if (!pattern) {
+    return;
+  }
+  
+  getSiteRules((rules) => {
+    saveSiteRules(upsertSiteRule(rules, {
+      pattern: pattern,
+      enableTextFiltering: siteRuleText.checked,
+      enableImageFiltering: siteRuleImages.checked,
+      sensitivityLevel: siteRuleSensitivity.value || null,
+      textFilterMode: siteRuleTextMode.value || null
+    }));
+  });
+}
+
+// Send a message to the content scripts in every frame of the active tab,
+// or only to frameId when it is given; the background worker merges the
+// answers into one response
+function sendToActiveTab(message, callback, frameId) {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs[0]) {
+      callback(null);
+      return;
+    }
+    
+    chrome.runtime.sendMessage({
+      action: window.SocioMessages.BACKGROUND_ACTIONS.SEND_TO_FRAMES,
+      tabId: tabs[0].id,
+      frameId: frameId,
+      message: message
+    }, (response) => {
+      // Pages without the content script, like chrome:// URLs, cannot answer
+      if (chrome.runtime.lastError) {
+        callback(null);
+        return;
+      }
+      callback(response);
+    });
+  });
+}
+
+// Load the filtering state of the active tab
+function loadPageStats() {
+  sendToActiveTab({ action: window.SocioMessages.TAB_ACTIONS.GET_PAGE_STATS }, (response) => {
+    pageItems.innerHTML = '';
+    
+    if (!response || !response.success) {
+      pageSummary.textContent = 'Socio.io is not running on this page';
+      refilterPageBtn.disabled = true;
+      pauseFilteringBtn.disabled = true;
+      return;
+    }
+    
+    refilterPageBtn.disabled = false;
+    pauseFilteringBtn.disabled = false;
+    
+    isApiKeyRejected = Boolean(response.apiKeyRejected);
+    if (isApiKeyRejected) {
+      showApiKeyRejected();
+    }
+    
+    // Update pause button
+    isTabPaused = response.paused;
+    pauseFilteringBtn.textContent = isTabPaused ? 'Resume on This Tab' : 'Pause on This Tab';
+    pauseFilteringBtn.classList.toggle('active', isTabPaused);
+    
+    // Update summary
+    const { textFiltered: text, imagesFiltered: images } = response.stats;
+    pageSummary.textContent = isTabPaused
+      ? 'Filtering is paused on this tab'
+      : `${text} text item(s) and ${images} image(s) filtered on this page`;
+    
+    // Add an entry for each item that is still filtered
+    response.items.forEach((item) => {
+      const pageItem = document.createElement('div');
+      pageItem.className = 'page-item';
+      
+      const itemType = document.createElement('span');
+      itemType.className = `item-type ${item.type}`;
+      itemType.textContent = item.type.charAt(0).toUpperCase() + item.type.slice(1);
+      
+      const itemPreview = document.createElement('span');
+      itemPreview.className = 'page-item-preview';
+      itemPreview.textContent = item.type === window.SocioConfig.FILTER_CATEGORIES.TEXT
+        ? item.preview
+        : '[Image content]';
+      
+      const showButton = document.createElement('button');
+      showButton.className = 'page-item-btn';
+      showButton.textContent = 'Show';
+      showButton.addEventListener('click', () => {
+        sendToActiveTab({
+          action: window.SocioMessages.TAB_ACTIONS.RECOVER_ITEM,
+          socioId: item.socioId
+        }, loadPageStats, item.frameId);
+      });
+      
+      pageItem.appendChild(itemType);
+      pageItem.appendChild(itemPreview);
+      pageItem.appendChild(showButton);
+      
+      pageItems.appendChild(pageItem);
+    });
+  });
+}
+
+// Recover content on the active tab
+function recoverContent() {
+  sendToActiveTab({ action: window.SocioMessages.TAB_ACTIONS.RECOVER_CONTENT }, (response) => {
+    if (!response || !response.success) {
+      return;
     }
+    
+    // Show feedback
+    recoverContentBtn.textContent = 'Content Recovered!';
+    setTimeout(() => {
+      recoverContentBtn.textContent = 'Recover Content';
+    }, 2000);
+    
+    loadPageStats();
+  });
+}
+
+// Filter the active tab again
+function refilterPage() {
+  sendToActiveTab({ action: window.SocioMessages.TAB_ACTIONS.REFILTER_PAGE }, (response) => {
+    if (!response || !response.success) {
+      return;
+    }
+    
+    // Show feedback
+    refilterPageBtn.textContent = 'Re-filtering...';
+    setTimeout(() => {
+      refilterPageBtn.textContent = 'Re-filter Page';
+      loadPageStats();
+    }, 2000);
   });
 }
 
+// Pause or resume filtering on the active tab
+function togglePauseFiltering() {
+  sendToActiveTab({
+    action: window.SocioMessages.TAB_ACTIONS.PAUSE_FILTERING,
+    paused: !isTabPaused
+  }, loadPageStats);
+}
+
 // Tab switching
 tabButtons.forEach((button) => {
   button.addEventListener('click', () => {
@@ -236,10 +584,12 @@ tabButtons.forEach((button) => {
     // Load tab specific data
     if (tabId === 'stats') {
       loadStatistics();
+      loadPageStats();
     } else if (tabId === 'history') {
       loadHistoryDomains();
     } else if (tabId === 'settings') {
       loadSettings();
+      loadSiteRules();
     }
   });
 });
@@ -260,6 +610,14 @@ saveSettingsBtn.addEventListener('click', saveSettings);
 // Recover content button
 recoverContentBtn.addEventListener('click', recoverContent);
 
+// Site rule controls
+siteFilteringToggle.addEventListener('change', toggleCurrentSite);
+addSiteRuleBtn.addEventListener('click', addSiteRule);
+
+// Page action buttons
+refilterPageBtn.addEventListener('click', refilterPage);
+pauseFilteringBtn.addEventListener('click', togglePauseFiltering);
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((message) => {
   if (message.action === 'statsUpdated') {
@@ -274,12 +632,14 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Load initial data
   loadStatistics();
+  loadPageStats();
   loadHistoryDomains();
   loadSettings();
+  loadCurrentSite();
   
   // Listen for content script connection
   chrome.runtime.onConnect.addListener((port) => {
-    if (port.name === 'socio-content') {
+    if (port.name === 'socio-content' && !isApiKeyRejected) {
       connectionStatus.textContent = 'Connected to page';
       connectionStatus.className = 'socio-status connected';
     }
@@ -0,0 +1,68 @@
+// Per-site filtering rules for Socio.io extension
+//
+// Each rule has the shape:
+//   {
+//     pattern: '*.example.com',     // hostname, "*" matches any characters
+//     enableTextFiltering: true,    // omit to keep the global setting
+//     enableImageFiltering: true,   // omit to keep the global setting
+//     sensitivityLevel: 'high',     // or null to keep the global level
+//     textFilterMode: 'blur'        // mask, blur, hide or warn for every text
+//                                   // category, or null to keep the global modes
+//   }
+// A pattern starting with "*." also matches the bare domain, so
+// "*.example.com" covers example.com and all of its subdomains.
+
+// Turn a hostname pattern into a regular expression
+function patternToRegExp(pattern) {
+  const normalized = pattern.trim().toLowerCase();
+  const escaped = normalized
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  
+  // "*.example.com" should also match "example.com"
+  const source = normalized.startsWith('*.') ? `(?:.*\\.)?${escaped.slice(4)}` : escaped;
+  return new RegExp(`^${source}$`);
+}
+
+// Check whether a hostname matches a rule pattern
+function matchesSitePattern(pattern, hostname) {
+  return patternToRegExp(pattern).test(hostname.toLowerCase());
+}
+
+// Find the most specific rule for a hostname
+function findSiteRule(rules, hostname) {
+  const matching = (rules || []).filter(rule => matchesSitePattern(rule.pattern, hostname));
+  
+  // Exact patterns beat wildcards, then longer patterns beat shorter ones
+  matching.sort((a, b) => {
+    const wildcardsA = (a.pattern.match(/\*/g) || []).length;
+    const wildcardsB = (b.pattern.match(/\*/g) || []).length;
+    return wildcardsA - wildcardsB || b.pattern.length - a.pattern.length;
+  });
+  
+  return matching[0] || null;
+}
+
+// Overlay a site rule on the global settings; unset fields keep the global value
+function applySiteRule(settings, rule) {
+  if (!rule) {
+    return settings;
+  }
+  
+  return {
+    ...settings,
+    enableTextFiltering: rule.enableTextFiltering ?? settings.enableTextFiltering,
+    enableImageFiltering: rule.enableImageFiltering ?? settings.enableImageFiltering,
+    sensitivityLevel: rule.sensitivityLevel || settings.sensitivityLevel,
+    // Categories without their own mode fall back to "other"
+    textFilterModes: rule.textFilterMode ? { other: rule.textFilterMode } : settings.textFilterModes
+  };
+}
+
+// Export site rule helpers
+window.SocioSiteRules = {
+  matchesSitePattern,
+  findSiteRule,
+  applySiteRule
+};
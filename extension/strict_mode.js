@@ -0,0 +1,51 @@
+// Strict mode for Socio.io extension
+//
+// Runs at document_start, before the page is shown, and covers images (and
+// optionally text blocks) through classes on <html> that styles.css turns
+// into blur or hiding. Each element is revealed once content.js marks it
+// with a verdict:
+//   images: socio-safe-image, socio-filtered-image or socio-skipped-image
+//           on <img>, <video poster> and SVG <image>; CSS background
+//           images cannot be matched by a selector and are not covered
+//   text:   socio-text-checked on the elements in STRICT_TEXT_SELECTOR
+
+// Text elements covered in strict mode; keep in sync with styles.css
+const STRICT_TEXT_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, td, th, dd, dt, figcaption, caption';
+
+// Set or clear the strict mode classes for the given settings
+function updateStrictMode(settings, active = true) {
+  const root = document.documentElement;
+  const enabled = Boolean(active && settings.strictMode);
+  
+  // autoBlurImages decides whether unchecked images are blurred or hidden
+  const coverImages = enabled && Boolean(settings.enableImageFiltering);
+  root.classList.toggle('socio-strict-blur', coverImages && Boolean(settings.autoBlurImages));
+  root.classList.toggle('socio-strict-hide', coverImages && !settings.autoBlurImages);
+  root.classList.toggle('socio-strict-text', enabled && Boolean(settings.enableTextFiltering && settings.strictModeText));
+}
+
+// Release everything strict mode is covering
+function releaseStrictMode() {
+  document.documentElement.classList.remove('socio-strict-blur', 'socio-strict-hide', 'socio-strict-text');
+}
+
+// Apply the stored settings as early as possible
+(function() {
+  const { SETTINGS, SITE_RULES } = window.SocioConfig.STORAGE_KEYS;
+  
+  chrome.storage.local.get([SETTINGS, SITE_RULES], (result) => {
+    const siteRule = window.SocioSiteRules.findSiteRule(result[SITE_RULES], window.location.hostname);
+    const settings = window.SocioSiteRules.applySiteRule(
+      result[SETTINGS] || window.SocioConfig.DEFAULT_SETTINGS,
+      siteRule
+    );
+    updateStrictMode(settings);
+  });
+})();
+
+// Export strict mode helpers
+window.SocioStrictMode = {
+  STRICT_TEXT_SELECTOR,
+  updateStrictMode,
+  releaseStrictMode
+};